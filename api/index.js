@@ -7,16 +7,30 @@ const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
+const { watchForChanges, getCacheStats } = require('../utils/matchData');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Client addresses (rate limiting, API link IP allowlists) come from X-Forwarded-For
+// only for trusted proxies. TRUST_PROXY takes true/false, a hop count or proxy
+// addresses; Vercel sits behind one proxy hop.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return process.env.VERCEL ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // CORS configuration - allow all origins for now
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept', 'X-Link-Secret', 'If-None-Match'],
+  // Overlays on other origins read these for conditional polling and link state
+  exposedHeaders: ['ETag', 'X-Link-Frozen', 'X-Link-Overridden']
 }));
 
 // For Vercel deployment - HTTPS redirect (but skip for OPTIONS requests)
@@ -80,7 +94,7 @@ const swaggerSpec = swaggerJsdoc(swaggerOptions);
 // Middleware
 app.use(helmet()); // Security headers
 app.use(morgan('combined')); // Logging
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' })); // Parse JSON bodies (snapshot batches can be large)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // URL normalization middleware - fix double slashes
@@ -95,7 +109,7 @@ app.use((req, res, next) => {
 app.options('*', (req, res) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Origin, Accept');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With, Origin, Accept, X-Link-Secret');
   res.status(200).end();
 });
 
@@ -117,6 +131,11 @@ const connectDB = async () => {
     }
     const conn = await mongoose.connect(process.env.MONGODB_URI);
     console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    // Optional: invalidate the match data cache from a change stream
+    if (process.env.MATCH_CACHE_CHANGE_STREAM === 'true') {
+      watchForChanges();
+    }
   } catch (error) {
     console.error('Error connecting to MongoDB:', error.message);
     console.log('Server will start without database connection');
@@ -203,6 +222,9 @@ app.get('/api/debug', (req, res) => {
  *                 database:
  *                   type: string
  *                   example: Connected
+ *                 cache:
+ *                   type: object
+ *                   description: Match data cache hit/miss counts and sizes
  *                 timestamp:
  *                   type: string
  *                   format: date-time
@@ -212,6 +234,7 @@ app.get('/health', (req, res) => {
     status: 'OK',
     database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected',
     mongodb_uri: process.env.MONGODB_URI ? 'Set' : 'Not Set',
+    cache: getCacheStats(),
     timestamp: new Date().toISOString()
   });
 });
@@ -221,6 +244,11 @@ app.use('/api/auth', require('../routes/auth'));
 app.use('/api/livescore', require('../routes/livescore'));
 app.use('/api/apilinks', require('../routes/apilinks'));
 app.use('/api/public', require('../routes/public'));
+app.use('/api/matches', require('../routes/matches'));
+app.use('/api/teams', require('../routes/teams'));
+app.use('/api/assets', require('../routes/assets'));
+app.use('/api/tournaments', require('../routes/tournaments'));
+app.use('/api/scoringrules', require('../routes/scoringrules'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
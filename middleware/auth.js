@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Middleware to verify JWT token
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Access token required'
+    });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, decoded) => {
+    if (err) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid or expired token'
+      });
+    }
+    req.userId = decoded.userId;
+    next();
+  });
+};
+
+// Middleware for routes open to everyone that serve signed-in users more
+// (e.g. their own match overrides): sets req.userId when a token is sent
+const identifyUser = (req, res, next) => {
+  // Responses differ per user, so shared caches must not mix them up
+  res.vary('Authorization');
+
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  authenticateToken(req, res, next);
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Middleware for ingestion routes: accepts the X-Ingest-Key header
+// (matched against INGEST_API_KEY) or falls back to a JWT
+const authenticateIngest = (req, res, next) => {
+  const ingestKey = req.get('X-Ingest-Key');
+
+  if (!ingestKey) {
+    return authenticateToken(req, res, next);
+  }
+
+  if (!process.env.INGEST_API_KEY || !safeEqual(ingestKey, process.env.INGEST_API_KEY)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid ingest key'
+    });
+  }
+
+  req.ingestKey = true;
+  next();
+};
+
+module.exports = {
+  authenticateToken,
+  identifyUser,
+  authenticateIngest
+};
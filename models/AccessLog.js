@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const TRANSPORTS = ['http', 'stream', 'websocket'];
+
+// Days access log entries are kept before MongoDB removes them
+const RETENTION_DAYS = parseInt(process.env.ACCESS_LOG_RETENTION_DAYS, 10) || 30;
+
+// One request to a public API link
+const accessLogSchema = new mongoose.Schema({
+  linkId: {
+    type: String,
+    required: [true, 'Link ID is required']
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: Number,
+    required: true
+  },
+  transport: {
+    type: String,
+    enum: TRANSPORTS,
+    default: 'http'
+  }
+});
+
+accessLogSchema.index({ linkId: 1, timestamp: -1 });
+accessLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+const AccessLog = mongoose.model('AccessLog', accessLogSchema);
+AccessLog.TRANSPORTS = TRANSPORTS;
+
+module.exports = AccessLog;
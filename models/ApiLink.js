@@ -1,4 +1,50 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { PLAYER_SORT_FIELDS } = require('../utils/players');
+
+const LINK_TYPES = ['full', 'alive_status', 'points_table', 'event_feed', 'custom', 'tournament_table', 'player_leaderboard', 'bundle'];
+
+// Types a bundle can serve straight from a match; other types are bundled by linking a link
+const BUNDLE_MEMBER_TYPES = ['full', 'alive_status', 'points_table', 'event_feed', 'player_leaderboard'];
+const MAX_BUNDLE_MEMBERS = 10;
+
+// Key names double as XML element names and flat/CSV key prefixes
+const BUNDLE_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+
+// Snapshot field selected by a custom link, optionally renamed in the output
+const linkFieldSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  as: {
+    type: String
+  }
+}, {
+  _id: false
+});
+
+// One entry of a bundle link, served under `key`: a matchId/type pair or another of the owner's links
+const bundleMemberSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Bundle member key is required'],
+    match: [BUNDLE_KEY_PATTERN, 'Bundle member keys must start with a letter and hold up to 50 letters, digits or underscores']
+  },
+  matchId: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: BUNDLE_MEMBER_TYPES
+  },
+  linkId: {
+    type: String
+  }
+}, {
+  _id: false
+});
 
 const apiLinkSchema = new mongoose.Schema({
   userId: {
@@ -12,19 +58,119 @@ const apiLinkSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Every type reads one match except tournament_table, which reads a tournament,
+  // and bundle, which reads its members. player_leaderboard reads either.
   matchId: {
     type: String,
-    required: [true, 'Match ID is required']
+    required: [function() {
+      return !['tournament_table', 'bundle'].includes(this.type) &&
+        !(this.type === 'player_leaderboard' && this.tournamentId);
+    }, 'Match ID is required']
+  },
+  tournamentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tournament',
+    required: [function() { return this.type === 'tournament_table'; }, 'Tournament ID is required']
   },
   type: {
     type: String,
-    enum: ['full', 'alive_status', 'points_table'],
+    enum: LINK_TYPES,
     required: [true, 'Type is required']
   },
+  // Number of rows served by list types (event_feed, player_leaderboard)
+  limit: {
+    type: Number,
+    min: [1, 'Limit must be at least 1'],
+    max: [100, 'Limit cannot exceed 100'],
+    default: 10
+  },
+  // Stat player_leaderboard links are ordered by (kills when unset)
+  sortBy: {
+    type: String,
+    enum: PLAYER_SORT_FIELDS
+  },
+  // Fields served by custom links
+  fields: {
+    type: [linkFieldSchema],
+    default: undefined
+  },
+  // Data served by bundle links, in response order
+  members: {
+    type: [bundleMemberSchema],
+    default: undefined,
+    validate: [members => members.length <= MAX_BUNDLE_MEMBERS, `A bundle cannot have more than ${MAX_BUNDLE_MEMBERS} members`]
+  },
+  // Add the owner's team branding to pointsTable and TeamStats1 rows
+  enrichBranding: {
+    type: Boolean,
+    default: false
+  },
+  // Recompute pointsTable points and ranks with this rule
+  scoringRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScoringRule',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Optional window outside which the public URL is not served
+  activeFrom: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Expire this many hours after the newest snapshot of the link's match, tournament or bundle members
+  autoExpireHours: {
+    type: Number,
+    min: [1, 'Auto-expire must be at least 1 hour'],
+    max: [720, 'Auto-expire cannot exceed 720 hours'],
+    default: null
+  },
+  // Broadcast delay: only serve snapshots at least this many seconds old
+  delaySeconds: {
+    type: Number,
+    min: [0, 'Delay cannot be negative'],
+    max: [3600, 'Delay cannot exceed 3600 seconds'],
+    default: 0
+  },
+  // Snapshot a frozen match link keeps serving instead of the latest (null when live)
+  frozenSnapshotId: {
+    type: String,
+    default: null
+  },
+  // Time of the pinned snapshot, and when the link was frozen
+  frozenTimestamp: {
+    type: Date,
+    default: null
+  },
+  frozenAt: {
+    type: Date,
+    default: null
+  },
+  // Public URL protection. Secrets are never returned with the link.
+  requireSignature: {
+    type: Boolean,
+    default: false
+  },
+  signingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hash of the secret expected in the X-Link-Secret header
+  accessSecretHash: {
+    type: String,
+    select: false
+  },
+  // IP addresses and CIDR ranges allowed to read the link (any when empty)
+  allowedIps: {
+    type: [String],
+    default: []
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -41,19 +187,34 @@ const apiLinkSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate random unique link ID
+// Generate random unique link ID (link IDs act as bearer tokens, so use a CSPRNG)
 apiLinkSchema.statics.generateLinkId = function() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let result = '';
   for (let i = 0; i < 16; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += chars.charAt(crypto.randomInt(chars.length));
   }
   return result;
 };
 
+// Secrets stay out of API responses even on documents that loaded them
+const hideSecrets = (doc, ret) => {
+  delete ret.signingSecret;
+  delete ret.accessSecretHash;
+  return ret;
+};
+apiLinkSchema.set('toJSON', { transform: hideSecrets });
+apiLinkSchema.set('toObject', { transform: hideSecrets });
+
 // Method to get full API URL
 apiLinkSchema.methods.getApiUrl = function() {
   return `/api/public/${this.linkId}`;
 };
 
-module.exports = mongoose.model('ApiLink', apiLinkSchema); 
\ No newline at end of file
+const ApiLink = mongoose.model('ApiLink', apiLinkSchema);
+ApiLink.LINK_TYPES = LINK_TYPES;
+ApiLink.BUNDLE_MEMBER_TYPES = BUNDLE_MEMBER_TYPES;
+ApiLink.MAX_BUNDLE_MEMBERS = MAX_BUNDLE_MEMBERS;
+ApiLink.BUNDLE_KEY_PATTERN = BUNDLE_KEY_PATTERN;
+
+module.exports = ApiLink; 
\ No newline at end of file
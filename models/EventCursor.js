@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Last snapshot of each match that events have been derived from
+const eventCursorSchema = new mongoose.Schema({
+  matchId: {
+    type: String,
+    required: [true, 'Match ID is required'],
+    unique: true,
+    trim: true
+  },
+  lastSnapshotId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  lastTimestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('EventCursor', eventCursorSchema);
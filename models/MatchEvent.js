@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = ['team_eliminated', 'player_knocked', 'player_eliminated', 'kills', 'rank_change'];
+
+const matchEventSchema = new mongoose.Schema({
+  matchId: {
+    type: String,
+    required: [true, 'Match ID is required'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: [true, 'Event type is required']
+  },
+  team: {
+    type: String,
+    required: [true, 'Team is required']
+  },
+  teamName: {
+    type: String,
+    default: null
+  },
+  player: {
+    type: String,
+    default: null
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Snapshot the event was derived from (compared with the one before it)
+  snapshotId: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+matchEventSchema.index({ matchId: 1, timestamp: -1 });
+
+// Deriving the same snapshot twice must not duplicate events
+matchEventSchema.index(
+  { matchId: 1, snapshotId: 1, type: 1, team: 1, player: 1 },
+  { unique: true }
+);
+
+const MatchEvent = mongoose.model('MatchEvent', matchEventSchema);
+MatchEvent.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = MatchEvent;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// rename: value is the team name to show
+// adjust_points: value is added to the team's points (negative for penalties)
+// eliminate: the team is shown as out of the match
+// hide: the team's rows are left out
+const ACTIONS = ['rename', 'adjust_points', 'eliminate', 'hide'];
+
+// An operator correction applied on top of a match's feed data when its owner's
+// links, tournaments and signed-in LiveScore requests read it. Overrides are
+// never deleted; clearing one stamps who cleared it and when.
+const matchOverrideSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  matchId: {
+    type: String,
+    required: [true, 'Match ID is required'],
+    trim: true
+  },
+  // In-game team ID or name as sent by the feed
+  team: {
+    type: String,
+    required: [true, 'Team is required'],
+    trim: true,
+    maxlength: [100, 'Team cannot exceed 100 characters']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ACTIONS,
+      message: `Action must be one of: ${ACTIONS.join(', ')}`
+    }
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters'],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  clearedAt: {
+    type: Date,
+    default: null
+  },
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+matchOverrideSchema.index({ userId: 1, matchId: 1, clearedAt: 1, createdAt: 1 });
+
+const MatchOverride = mongoose.model('MatchOverride', matchOverrideSchema);
+MatchOverride.ACTIONS = ACTIONS;
+
+module.exports = MatchOverride;
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// When a bonus applies to a team in a match:
+// rank_at_most - finished at `value` or better
+// kills_at_least - scored `value` kills or more
+// most_kills - had the most kills in the match (shared on ties)
+const BONUS_CONDITIONS = ['rank_at_most', 'kills_at_least', 'most_kills'];
+
+const bonusRuleSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Bonus label cannot exceed 50 characters']
+  },
+  condition: {
+    type: String,
+    enum: {
+      values: BONUS_CONDITIONS,
+      message: `Bonus condition must be one of: ${BONUS_CONDITIONS.join(', ')}`
+    },
+    required: [true, 'Bonus condition is required']
+  },
+  value: {
+    type: Number,
+    min: [0, 'Bonus value cannot be negative'],
+    required: [function() { return this.condition !== 'most_kills'; }, 'Bonus value is required']
+  },
+  // May be negative to model penalties
+  points: {
+    type: Number,
+    required: [true, 'Bonus points are required']
+  }
+}, {
+  _id: false
+});
+
+const scoringRuleSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Points for each finishing place: the first entry is 1st place. Places past the end score 0.
+  placementPoints: {
+    type: [{ type: Number, min: [0, 'Placement points cannot be negative'] }],
+    default: [],
+    validate: [points => points.length <= 100, 'Placement points cannot list more than 100 places']
+  },
+  killPoints: {
+    type: Number,
+    min: [0, 'Kill points cannot be negative'],
+    default: 1
+  },
+  // Most kill points a team can earn in one match (null for no cap)
+  maxKillPoints: {
+    type: Number,
+    min: [0, 'Kill point cap cannot be negative'],
+    default: null
+  },
+  // Most points a team can earn in one match, bonuses included (null for no cap)
+  maxMatchPoints: {
+    type: Number,
+    min: [0, 'Match point cap cannot be negative'],
+    default: null
+  },
+  bonuses: {
+    type: [bonusRuleSchema],
+    default: [],
+    validate: [bonuses => bonuses.length <= 20, 'A scoring rule cannot have more than 20 bonuses']
+  }
+}, {
+  timestamps: true
+});
+
+scoringRuleSchema.index({ userId: 1, createdAt: -1 });
+
+const ScoringRule = mongoose.model('ScoringRule', scoringRuleSchema);
+ScoringRule.BONUS_CONDITIONS = BONUS_CONDITIONS;
+
+module.exports = ScoringRule;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const COLOR_PATTERN = [/^#([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Colors must be hex values like #FF8800'];
+
+const teamSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  // In-game team name or ID the branding applies to (matched case-insensitively)
+  teamKey: {
+    type: String,
+    required: [true, 'Team key is required'],
+    trim: true,
+    maxlength: [100, 'Team key cannot exceed 100 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  tag: {
+    type: String,
+    trim: true,
+    maxlength: [10, 'Tag cannot exceed 10 characters']
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Logo URL cannot exceed 500 characters']
+  },
+  primaryColor: {
+    type: String,
+    trim: true,
+    match: COLOR_PATTERN
+  },
+  secondaryColor: {
+    type: String,
+    trim: true,
+    match: COLOR_PATTERN
+  },
+  sponsor: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sponsor cannot exceed 100 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Each user brands a team once
+teamSchema.index({ userId: 1, teamKey: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Ways to order teams level on the previous criteria, applied in the order listed
+const TIEBREAKERS = ['points', 'wins', 'kills', 'best_rank', 'avg_rank', 'last_match_rank'];
+const DEFAULT_TIEBREAKERS = ['points', 'wins', 'kills', 'last_match_rank'];
+
+const tournamentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Matches in play order
+  matchIds: {
+    type: [{ type: String, trim: true }],
+    default: [],
+    validate: [matchIds => matchIds.length <= 50, 'A tournament cannot have more than 50 matches']
+  },
+  tiebreakers: {
+    type: [{ type: String, enum: TIEBREAKERS }],
+    default: () => [...DEFAULT_TIEBREAKERS]
+  },
+  // Recompute every match's points with this rule instead of the feed's pointsTable
+  scoringRuleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScoringRule',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+tournamentSchema.index({ userId: 1, createdAt: -1 });
+
+const Tournament = mongoose.model('Tournament', tournamentSchema);
+Tournament.TIEBREAKERS = TIEBREAKERS;
+Tournament.DEFAULT_TIEBREAKERS = DEFAULT_TIEBREAKERS;
+
+module.exports = Tournament;
@@ -1,8 +1,29 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const ApiLink = require('../models/ApiLink');
 const User = require('../models/User');
+const Tournament = require('../models/Tournament');
+const { authenticateToken } = require('../middleware/auth');
+const { matchExists, getLatestSnapshot, getSnapshotById, getSnapshotBefore } = require('../utils/matchData');
+const { delayCutoff, notifyLinkChange } = require('../utils/linkData');
+const { validateFields } = require('../utils/projection');
+const { resolveScoringRuleId } = require('../utils/scoring');
+const { PLAYER_SORT_FIELDS } = require('../utils/players');
+const { parseTimestamp } = require('../utils/queryParams');
+const { resolveLinkAccess } = require('../utils/linkAccess');
+const { parseAnalyticsRange, linkAnalytics } = require('../utils/accessLog');
+const {
+  DEFAULT_SIGNATURE_TTL_S,
+  MAX_SIGNATURE_TTL_S,
+  MIN_SECRET_LENGTH,
+  generateSecret,
+  hashSecret,
+  signLink,
+  validateAllowedIps
+} = require('../utils/linkProtection');
+
+const MATCH_NOT_FOUND = 'Match not found. Set allowPending to true to link a match that has not started yet';
 
 /**
  * @swagger
@@ -11,7 +32,6 @@ const User = require('../models/User');
  *     ApiLink:
  *       type: object
  *       required:
- *         - matchId
  *         - type
  *       properties:
  *         _id:
@@ -25,15 +45,85 @@ const User = require('../models/User');
  *           description: Random unique link identifier
  *         matchId:
  *           type: string
- *           description: Match ID for the data
+ *           description: Match ID for the data (not used by tournament and bundle links)
+ *         tournamentId:
+ *           type: string
+ *           description: Tournament served by tournament_table links and tournament-wide player_leaderboard links
  *         type:
  *           type: string
- *           enum: [full, alive_status, points_table]
+ *           enum: [full, alive_status, points_table, event_feed, custom, tournament_table, player_leaderboard, bundle]
  *           description: Type of data to expose
+ *         limit:
+ *           type: integer
+ *           default: 10
+ *           description: Number of rows served by event_feed and player_leaderboard links
+ *         sortBy:
+ *           type: string
+ *           enum: [kills, damage, knocks]
+ *           description: Stat player_leaderboard links are ordered by (defaults to kills)
+ *         fields:
+ *           type: array
+ *           description: Snapshot fields served by custom links
+ *           items:
+ *             $ref: '#/components/schemas/ApiLinkField'
+ *         members:
+ *           type: array
+ *           description: Data served by bundle links, each under its own key
+ *           items:
+ *             $ref: '#/components/schemas/ApiLinkBundleMember'
+ *         enrichBranding:
+ *           type: boolean
+ *           default: false
+ *           description: Add the owner's team branding to pointsTable and TeamStats1 rows
+ *         scoringRuleId:
+ *           type: string
+ *           nullable: true
+ *           description: Scoring rule used to recompute pointsTable points and ranks
  *         isActive:
  *           type: boolean
  *           default: true
  *           description: Whether the link is active
+ *         activeFrom:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The public URL is not served before this time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: The public URL answers 410 Gone from this time
+ *         autoExpireHours:
+ *           type: integer
+ *           nullable: true
+ *           description: Expire this many hours after the newest snapshot of the link's match or tournament
+ *         delaySeconds:
+ *           type: integer
+ *           default: 0
+ *           description: Broadcast delay; only snapshots at least this many seconds old are served
+ *         frozenSnapshotId:
+ *           type: string
+ *           nullable: true
+ *           description: Snapshot a frozen link serves instead of the latest (see PATCH /api/apilinks/{linkId}/freeze)
+ *         frozenTimestamp:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Time of the pinned snapshot
+ *         frozenAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the link was frozen
+ *         requireSignature:
+ *           type: boolean
+ *           default: false
+ *           description: The public URL is only served with a valid signature (see POST /api/apilinks/{linkId}/sign)
+ *         allowedIps:
+ *           type: array
+ *           description: IP addresses and CIDR ranges allowed to read the public URL (any when empty)
+ *           items:
+ *             type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -44,41 +134,405 @@ const User = require('../models/User');
  *           type: number
  *           default: 0
  *           description: Number of times accessed
+ *     ApiLinkField:
+ *       type: object
+ *       required:
+ *         - path
+ *       properties:
+ *         path:
+ *           type: string
+ *           description: |
+ *             Dot-separated snapshot path. Numeric segments index arrays, other segments
+ *             apply to every array element (pointsTable.teamName lists all team names).
+ *           example: pointsTable.0.teamName
+ *         as:
+ *           type: string
+ *           description: Output key (defaults to the path)
+ *           example: leader
+ *     ApiLinkBundleMember:
+ *       type: object
+ *       required:
+ *         - key
+ *       description: |
+ *         Either another of your links (linkId, served with its own settings while it is enabled,
+ *         inside its active window and unprotected) or a matchId and type served with the bundle's
+ *         enrichBranding, scoringRuleId and delaySeconds. Bundles cannot contain other bundles.
+ *       properties:
+ *         key:
+ *           type: string
+ *           description: Response key; a letter followed by up to 49 letters, digits or underscores
+ *           example: matchA
+ *         linkId:
+ *           type: string
+ *         matchId:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [full, alive_status, points_table, event_feed, player_leaderboard]
  *     ApiLinkCreate:
  *       type: object
  *       required:
- *         - matchId
  *         - type
  *       properties:
  *         matchId:
  *           type: string
+ *           description: |
+ *             Required for every type except tournament_table and bundle. player_leaderboard takes
+ *             a matchId or a tournamentId.
+ *         tournamentId:
+ *           type: string
+ *           description: |
+ *             Required for tournament_table links; must be one of your tournaments. player_leaderboard
+ *             links given a tournamentId sum player stats over every match in it.
  *         type:
  *           type: string
- *           enum: [full, alive_status, points_table]
+ *           enum: [full, alive_status, points_table, event_feed, custom, tournament_table, player_leaderboard, bundle]
+ *         limit:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           description: Number of rows served by event_feed and player_leaderboard links
+ *         sortBy:
+ *           type: string
+ *           enum: [kills, damage, knocks]
+ *           default: kills
+ *           description: Stat player_leaderboard links are ordered by
+ *         fields:
+ *           type: array
+ *           description: Required for custom links. Field paths as strings or { path, as } objects.
+ *           items:
+ *             oneOf:
+ *               - type: string
+ *               - $ref: '#/components/schemas/ApiLinkField'
+ *         members:
+ *           type: array
+ *           description: Required for bundle links (1 to 10 entries)
+ *           items:
+ *             $ref: '#/components/schemas/ApiLinkBundleMember'
+ *         enrichBranding:
+ *           type: boolean
+ *           default: false
+ *           description: Add team branding (see /api/teams) to team rows
+ *         scoringRuleId:
+ *           type: string
+ *           description: |
+ *             Recompute pointsTable points and ranks with one of your scoring rules
+ *             (see /api/scoringrules). For tournament_table links it overrides the tournament's rule.
+ *         activeFrom:
+ *           type: string
+ *           format: date-time
+ *           description: Start serving at this time (ISO date or epoch milliseconds)
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: Stop serving at this time; requests then get 410 Gone
+ *         autoExpireHours:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 720
+ *           description: Expire this many hours after the match's (or tournament's) last snapshot, e.g. 24
+ *         delaySeconds:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 3600
+ *           default: 0
+ *           description: |
+ *             Broadcast delay in seconds. The link serves the newest snapshot at least this old
+ *             (for every match of a tournament link), matching delayed video. 0 serves live data.
+ *         requireSignature:
+ *           type: boolean
+ *           default: false
+ *           description: Only serve the public URL with a signature from POST /api/apilinks/{linkId}/sign
+ *         accessSecret:
+ *           oneOf:
+ *             - type: boolean
+ *             - type: string
+ *           description: |
+ *             Require this secret (at least 16 characters) in an X-Link-Secret header, or true to
+ *             generate one. The secret is only returned in this response.
+ *         allowedIps:
+ *           type: array
+ *           description: IP addresses and CIDR ranges allowed to read the public URL, e.g. ["203.0.113.7", "10.0.0.0/8"]
+ *           items:
+ *             type: string
+ *         allowPending:
+ *           type: boolean
+ *           default: false
+ *           description: Skip the check that the match has data, for matches that have not started
  */
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Validate the optional per-type settings sent with a link. `existing` is
+// the link being updated, whose stored settings satisfy type requirements.
+// Returns { settings } holding only the fields provided, or { error }.
+const validateLinkSettings = (type, body, existing = null) => {
+  const settings = {};
 
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Access token required'
-    });
+  if (body.limit !== undefined) {
+    if (!Number.isInteger(body.limit) || body.limit < 1 || body.limit > 100) {
+      return { error: 'limit must be an integer between 1 and 100' };
+    }
+    settings.limit = body.limit;
   }
 
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, decoded) => {
-    if (err) {
-      return res.status(403).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
+  if (body.fields !== undefined) {
+    // Plain strings are shorthand for { path }
+    const fields = Array.isArray(body.fields)
+      ? body.fields.map(field => (typeof field === 'string' ? { path: field } : field))
+      : body.fields;
+
+    const errors = validateFields(fields);
+    if (errors.length) {
+      return { error: errors.join(', ') };
+    }
+    settings.fields = fields.map(({ path, as }) => (as ? { path, as } : { path }));
+  } else if (type === 'custom' && !(existing && existing.fields && existing.fields.length)) {
+    return { error: 'fields are required for custom links' };
+  }
+
+  if (body.sortBy !== undefined) {
+    if (!PLAYER_SORT_FIELDS.includes(body.sortBy)) {
+      return { error: `sortBy must be one of: ${PLAYER_SORT_FIELDS.join(', ')}` };
+    }
+    settings.sortBy = body.sortBy;
+  }
+
+  if (body.enrichBranding !== undefined) {
+    if (typeof body.enrichBranding !== 'boolean') {
+      return { error: 'enrichBranding must be a boolean' };
+    }
+    settings.enrichBranding = body.enrichBranding;
+  }
+
+  // activeFrom / expiresAt: ISO date or epoch milliseconds, null clears
+  for (const field of ['activeFrom', 'expiresAt']) {
+    if (body[field] === undefined) continue;
+
+    if (body[field] === null) {
+      settings[field] = null;
+      continue;
+    }
+
+    const date = parseTimestamp(body[field]);
+    if (!date) {
+      return { error: `${field} must be an ISO date or epoch milliseconds` };
+    }
+    settings[field] = date;
+  }
+
+  const activeFrom = settings.activeFrom !== undefined ? settings.activeFrom : existing && existing.activeFrom;
+  const expiresAt = settings.expiresAt !== undefined ? settings.expiresAt : existing && existing.expiresAt;
+  if (activeFrom && expiresAt && activeFrom >= expiresAt) {
+    return { error: 'expiresAt must be after activeFrom' };
+  }
+
+  if (body.autoExpireHours !== undefined) {
+    const hours = body.autoExpireHours;
+    if (hours !== null && (!Number.isInteger(hours) || hours < 1 || hours > 720)) {
+      return { error: 'autoExpireHours must be an integer between 1 and 720, or null' };
+    }
+    settings.autoExpireHours = hours;
+  }
+
+  if (body.delaySeconds !== undefined) {
+    const delay = body.delaySeconds;
+    if (!Number.isInteger(delay) || delay < 0 || delay > 3600) {
+      return { error: 'delaySeconds must be an integer between 0 and 3600' };
+    }
+    settings.delaySeconds = delay;
+  }
+
+  return { settings };
+};
+
+// Validate the public URL protection sent with a link. `existing` is the link
+// being updated. Returns { protection } holding the fields to store and
+// accessSecret (the plain secret, when one was set), or { error }.
+const validateLinkProtection = (body, existing = null) => {
+  const protection = {};
+  let accessSecret;
+
+  if (body.requireSignature !== undefined) {
+    if (typeof body.requireSignature !== 'boolean') {
+      return { error: 'requireSignature must be a boolean' };
+    }
+    protection.requireSignature = body.requireSignature;
+  }
+
+  if (body.rotateSigningSecret !== undefined && typeof body.rotateSigningSecret !== 'boolean') {
+    return { error: 'rotateSigningSecret must be a boolean' };
+  }
+
+  // Links get a signing secret when signatures are turned on, and a new one on rotation
+  const requireSignature = protection.requireSignature ?? Boolean(existing && existing.requireSignature);
+  const enabling = requireSignature && !(existing && existing.requireSignature);
+  if (requireSignature && (enabling || body.rotateSigningSecret === true)) {
+    protection.signingSecret = generateSecret();
+  } else if (!requireSignature && existing && existing.requireSignature) {
+    protection.signingSecret = null;
+  }
+
+  if (body.accessSecret !== undefined) {
+    if (body.accessSecret === null || body.accessSecret === false) {
+      protection.accessSecretHash = null;
+    } else if (body.accessSecret === true) {
+      accessSecret = generateSecret();
+    } else if (typeof body.accessSecret === 'string' && body.accessSecret.length >= MIN_SECRET_LENGTH) {
+      accessSecret = body.accessSecret;
+    } else {
+      return { error: `accessSecret must be true, null or a string of at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    if (accessSecret) protection.accessSecretHash = hashSecret(accessSecret);
+  }
+
+  if (body.allowedIps !== undefined) {
+    const { allowedIps, error } = validateAllowedIps(body.allowedIps === null ? [] : body.allowedIps);
+    if (error) return { error };
+    protection.allowedIps = allowedIps;
+  }
+
+  return { protection, accessSecret };
+};
+
+// tournament_table links read a tournament; player_leaderboard links do when
+// given a tournament ID instead of a match ID
+const readsTournament = (type, body) => {
+  return type === 'tournament_table' || (type === 'player_leaderboard' && !!body.tournamentId);
+};
+
+// Check the members sent with a bundle link: each has a unique key and either
+// the linkId of another of the user's links (not a bundle) or a matchId and
+// type. Returns { members } or { error }.
+const resolveBundleMembers = async (req, existing = null) => {
+  const { members, allowPending } = req.body;
+  if (!Array.isArray(members) || !members.length || members.length > ApiLink.MAX_BUNDLE_MEMBERS) {
+    return { error: `members must list between 1 and ${ApiLink.MAX_BUNDLE_MEMBERS} entries` };
+  }
+
+  const keys = new Set();
+  const resolved = [];
+
+  for (const member of members) {
+    if (!member || typeof member !== 'object') {
+      return { error: 'Each bundle member must be an object' };
+    }
+
+    const key = typeof member.key === 'string' ? member.key.trim() : '';
+    if (!ApiLink.BUNDLE_KEY_PATTERN.test(key)) {
+      return { error: 'Bundle member keys must start with a letter and hold up to 50 letters, digits or underscores' };
+    }
+    if (keys.has(key)) {
+      return { error: `Duplicate bundle member key: ${key}` };
+    }
+    keys.add(key);
+
+    if (member.linkId !== undefined) {
+      if (member.matchId !== undefined || member.type !== undefined) {
+        return { error: `Bundle member ${key}: send either a linkId or a matchId and type, not both` };
+      }
+
+      const linkId = String(member.linkId);
+      if (existing && existing.linkId === linkId) {
+        return { error: `Bundle member ${key}: a bundle cannot contain itself` };
+      }
+
+      const link = await ApiLink.findOne({ linkId, userId: req.userId }).select('type').lean();
+      if (!link) {
+        return { error: `Bundle member ${key}: link not found` };
+      }
+      if (link.type === 'bundle') {
+        return { error: `Bundle member ${key}: bundles cannot contain other bundles` };
+      }
+      resolved.push({ key, linkId });
+      continue;
+    }
+
+    if (!ApiLink.BUNDLE_MEMBER_TYPES.includes(member.type)) {
+      return { error: `Bundle member ${key}: type must be one of: ${ApiLink.BUNDLE_MEMBER_TYPES.join(', ')}` };
+    }
+    const matchId = typeof member.matchId === 'string' ? member.matchId.trim() : '';
+    if (!matchId) {
+      return { error: `Bundle member ${key}: a linkId or a matchId is required` };
+    }
+
+    // Only new matches are checked, so bundles of pending matches stay editable
+    const known = existing && (existing.members || []).some(previous => previous.matchId === matchId);
+    if (!known && allowPending !== true && !(await matchExists(matchId))) {
+      return { error: `Bundle member ${key}: ${MATCH_NOT_FOUND}` };
     }
-    req.userId = decoded.userId;
-    next();
-  });
+    resolved.push({ key, matchId, type: member.type });
+  }
+
+  return { members: resolved };
+};
+
+// Check the match, tournament or bundle members a link reads from. Returns
+// { source } with the matchId/tournamentId/members to store, or { error }.
+const resolveLinkSource = async (req, type, existing = null) => {
+  if (type === 'bundle') {
+    const source = { matchId: undefined, tournamentId: undefined };
+
+    // Updates keep a bundle's members unless new ones are sent
+    if (req.body.members === undefined && existing && existing.type === 'bundle') {
+      return { source };
+    }
+
+    const { members, error } = await resolveBundleMembers(req, existing);
+    if (error) return { error };
+    return { source: { ...source, members } };
+  }
+
+  if (readsTournament(type, req.body)) {
+    const { tournamentId } = req.body;
+    const owned = mongoose.isValidObjectId(tournamentId) &&
+      await Tournament.exists({ _id: tournamentId, userId: req.userId });
+    if (!owned) {
+      return { error: 'Tournament not found' };
+    }
+    return { source: { tournamentId, matchId: undefined, members: undefined } };
+  }
+
+  const matchId = req.body.matchId.trim();
+
+  // Only a changed matchId is checked, so links to pending matches stay editable
+  const unchanged = existing && existing.matchId === matchId;
+  if (!unchanged && req.body.allowPending !== true && !(await matchExists(matchId))) {
+    return { error: MATCH_NOT_FOUND };
+  }
+  return { source: { matchId, tournamentId: undefined, members: undefined } };
+};
+
+// Check the scoring rule sent with a link. Returns { scoring } holding
+// scoringRuleId when one was sent (null detaches the rule), or { error }.
+const resolveLinkScoring = async (req) => {
+  if (req.body.scoringRuleId === undefined) return { scoring: {} };
+
+  const { scoringRuleId, error } = await resolveScoringRuleId(req.userId, req.body.scoringRuleId);
+  if (error) return { error };
+  return { scoring: { scoringRuleId } };
+};
+
+// Link fields cleared when a link returns to live data
+const UNFROZEN = {
+  frozenSnapshotId: null,
+  frozenTimestamp: null,
+  frozenAt: null
+};
+
+// Match ID is required for every type except tournament_table, which needs a
+// tournament ID, player_leaderboard, which takes one or the other, and bundle,
+// whose members are checked with resolveBundleMembers
+const missingSourceError = (type, body) => {
+  if (type === 'bundle') return null;
+  if (type === 'tournament_table') {
+    return body.tournamentId ? null : 'Tournament ID is required for tournament_table links';
+  }
+  if (type === 'player_leaderboard') {
+    if (body.matchId && body.tournamentId) {
+      return 'Send either a match ID or a tournament ID for player_leaderboard links, not both';
+    }
+    return body.matchId || body.tournamentId ? null : 'Match ID or tournament ID is required for player_leaderboard links';
+  }
+  return body.matchId && type ? null : 'Match ID and type are required';
 };
 
 /**
@@ -114,8 +568,11 @@ const authenticateToken = (req, res, next) => {
  *                 publicUrl:
  *                   type: string
  *                   description: Public URL for accessing the data
+ *                 accessSecret:
+ *                   type: string
+ *                   description: The link's X-Link-Secret value, only returned when one was set
  *       400:
- *         description: Validation error
+ *         description: Validation error or match not found
  *       401:
  *         description: Unauthorized
  *       500:
@@ -124,21 +581,54 @@ const authenticateToken = (req, res, next) => {
 // POST /api/apilinks - Create new API link
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { matchId, type } = req.body;
+    const { type } = req.body;
 
     // Validate required fields
-    if (!matchId || !type) {
+    const missingError = missingSourceError(type, req.body);
+    if (missingError) {
       return res.status(400).json({
         success: false,
-        error: 'Match ID and type are required'
+        error: missingError
       });
     }
 
     // Validate type
-    if (!['full', 'alive_status', 'points_table'].includes(type)) {
+    if (!ApiLink.LINK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid type. Use: ${ApiLink.LINK_TYPES.join(', ')}`
+      });
+    }
+
+    const { settings, error: settingsError } = validateLinkSettings(type, req.body);
+    if (settingsError) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid type. Use: full, alive_status, or points_table'
+        error: settingsError
+      });
+    }
+
+    const { source, error: sourceError } = await resolveLinkSource(req, type);
+    if (sourceError) {
+      return res.status(400).json({
+        success: false,
+        error: sourceError
+      });
+    }
+
+    const { scoring, error: scoringError } = await resolveLinkScoring(req);
+    if (scoringError) {
+      return res.status(400).json({
+        success: false,
+        error: scoringError
+      });
+    }
+
+    const { protection, accessSecret, error: protectionError } = validateLinkProtection(req.body);
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        error: protectionError
       });
     }
 
@@ -163,12 +653,15 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    // Create new API link (trim matchId to remove whitespace)
+    // Create new API link
     const apiLink = await ApiLink.create({
       userId: req.userId,
       linkId,
-      matchId: matchId.trim(),
-      type
+      type,
+      ...source,
+      ...settings,
+      ...scoring,
+      ...protection
     });
 
     // Get the public URL
@@ -178,7 +671,8 @@ router.post('/', authenticateToken, async (req, res) => {
     res.status(201).json({
       success: true,
       data: apiLink,
-      publicUrl
+      publicUrl,
+      ...(accessSecret && { accessSecret })
     });
 
   } catch (error) {
@@ -195,7 +689,10 @@ router.post('/', authenticateToken, async (req, res) => {
  * /api/apilinks:
  *   get:
  *     summary: Get user's API links
- *     description: Get all API links created by the authenticated user
+ *     description: |
+ *       Get all API links created by the authenticated user. Each link also has `publicUrl`,
+ *       `effectiveState` (active, scheduled, expired or disabled, with the schedule and
+ *       auto-expiry applied), `effectiveExpiresAt` and `frozen`.
  *     tags: [ApiLinks]
  *     security:
  *       - bearerAuth: []
@@ -226,11 +723,17 @@ router.get('/', authenticateToken, async (req, res) => {
     const apiLinks = await ApiLink.find({ userId: req.userId })
       .sort({ createdAt: -1 });
 
-    // Add public URLs to each link
+    // Add public URLs and the effective state (schedule and expiry applied) to each link
     const baseUrl = `${req.protocol}://${req.get('host')}`;
-    const linksWithUrls = apiLinks.map(link => ({
-      ...link.toObject(),
-      publicUrl: `${baseUrl}/api/public/${link.linkId}`
+    const linksWithUrls = await Promise.all(apiLinks.map(async (link) => {
+      const access = await resolveLinkAccess(link);
+      return {
+        ...link.toObject(),
+        publicUrl: `${baseUrl}/api/public/${link.linkId}`,
+        effectiveState: access.state,
+        effectiveExpiresAt: access.expiresAt,
+        frozen: !!link.frozenSnapshotId
+      };
     }));
 
     res.json({
@@ -312,7 +815,7 @@ router.delete('/:linkId', authenticateToken, async (req, res) => {
  * /api/apilinks/{linkId}/update:
  *   patch:
  *     summary: Update API link
- *     description: Update matchId and type for an existing API link
+ *     description: Update the type and data source (matchId or tournamentId) of an existing API link
  *     tags: [ApiLinks]
  *     security:
  *       - bearerAuth: []
@@ -332,11 +835,83 @@ router.delete('/:linkId', authenticateToken, async (req, res) => {
  *             properties:
  *               matchId:
  *                 type: string
- *                 description: New match ID
+ *                 description: New match ID (not used by tournament and bundle links)
+ *               tournamentId:
+ *                 type: string
+ *                 description: New tournament ID for tournament_table and player_leaderboard links
  *               type:
  *                 type: string
- *                 enum: [full, alive_status, points_table]
+ *                 enum: [full, alive_status, points_table, event_feed, custom, tournament_table, player_leaderboard, bundle]
  *                 description: New data type
+ *               limit:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 100
+ *                 description: Number of rows served by event_feed and player_leaderboard links
+ *               sortBy:
+ *                 type: string
+ *                 enum: [kills, damage, knocks]
+ *                 description: Stat player_leaderboard links are ordered by
+ *               fields:
+ *                 type: array
+ *                 description: Field paths for custom links (kept when omitted)
+ *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - $ref: '#/components/schemas/ApiLinkField'
+ *               members:
+ *                 type: array
+ *                 description: Members of bundle links (kept when omitted)
+ *                 items:
+ *                   $ref: '#/components/schemas/ApiLinkBundleMember'
+ *               enrichBranding:
+ *                 type: boolean
+ *                 description: Add team branding to team rows
+ *               scoringRuleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Scoring rule to recompute points with (null to serve the feed's points)
+ *               activeFrom:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Start serving at this time (null clears)
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: Stop serving at this time (null clears)
+ *               autoExpireHours:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Hours after the last snapshot to expire the link (null turns it off)
+ *               delaySeconds:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 3600
+ *                 description: Broadcast delay in seconds (0 serves live data)
+ *               requireSignature:
+ *                 type: boolean
+ *                 description: Only serve the public URL with a valid signature
+ *               rotateSigningSecret:
+ *                 type: boolean
+ *                 description: Replace the signing secret, invalidating every signed URL issued so far
+ *               accessSecret:
+ *                 oneOf:
+ *                   - type: boolean
+ *                   - type: string
+ *                 nullable: true
+ *                 description: New X-Link-Secret value, true to generate one, or null to remove it
+ *               allowedIps:
+ *                 type: array
+ *                 nullable: true
+ *                 description: IP addresses and CIDR ranges allowed to read the public URL (null or [] allows any)
+ *                 items:
+ *                   type: string
+ *               allowPending:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Skip the check that a new match ID has data
  *           example:
  *             matchId: "new-match-id-here"
  *             type: "alive_status"
@@ -344,7 +919,7 @@ router.delete('/:linkId', authenticateToken, async (req, res) => {
  *       200:
  *         description: API link updated successfully
  *       400:
- *         description: Validation error
+ *         description: Validation error or match not found
  *       401:
  *         description: Unauthorized
  *       404:
@@ -356,21 +931,22 @@ router.delete('/:linkId', authenticateToken, async (req, res) => {
 router.patch('/:linkId/update', authenticateToken, async (req, res) => {
   try {
     const { linkId } = req.params;
-    const { matchId, type } = req.body;
+    const { type } = req.body;
 
     // Validate required fields
-    if (!matchId || !type) {
+    const missingError = missingSourceError(type, req.body);
+    if (missingError) {
       return res.status(400).json({
         success: false,
-        error: 'Match ID and type are required'
+        error: missingError
       });
     }
 
     // Validate type
-    if (!['full', 'alive_status', 'points_table'].includes(type)) {
+    if (!ApiLink.LINK_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid type. Use: full, alive_status, or points_table'
+        error: `Invalid type. Use: ${ApiLink.LINK_TYPES.join(', ')}`
       });
     }
 
@@ -386,11 +962,52 @@ router.patch('/:linkId/update', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update the link (trim matchId to remove whitespace)
-    apiLink.matchId = matchId.trim();
+    const { settings, error: settingsError } = validateLinkSettings(type, req.body, apiLink);
+    if (settingsError) {
+      return res.status(400).json({
+        success: false,
+        error: settingsError
+      });
+    }
+
+    const { source, error: sourceError } = await resolveLinkSource(req, type, apiLink);
+    if (sourceError) {
+      return res.status(400).json({
+        success: false,
+        error: sourceError
+      });
+    }
+
+    const { scoring, error: scoringError } = await resolveLinkScoring(req);
+    if (scoringError) {
+      return res.status(400).json({
+        success: false,
+        error: scoringError
+      });
+    }
+
+    const { protection, accessSecret, error: protectionError } = validateLinkProtection(req.body, apiLink);
+    if (protectionError) {
+      return res.status(400).json({
+        success: false,
+        error: protectionError
+      });
+    }
+
+    // A pinned snapshot belongs to the old match, so moving the link unfreezes it
+    const previous = apiLink.toObject();
+    if (apiLink.frozenSnapshotId && source.matchId !== apiLink.matchId) {
+      Object.assign(apiLink, UNFROZEN);
+    }
+
+    // Update the link
     apiLink.type = type;
+    Object.assign(apiLink, source, settings, scoring, protection);
     await apiLink.save();
 
+    // Open streams re-read the link, whether they watch its old sources or its new ones
+    await Promise.all([notifyLinkChange(previous), notifyLinkChange(apiLink)]);
+
     // Get the public URL
     const baseUrl = `${req.protocol}://${req.get('host')}`;
     const publicUrl = `${baseUrl}/api/public/${linkId}`;
@@ -399,6 +1016,7 @@ router.patch('/:linkId/update', authenticateToken, async (req, res) => {
       success: true,
       data: apiLink,
       publicUrl,
+      ...(accessSecret && { accessSecret }),
       message: 'API link updated successfully'
     });
 
@@ -411,6 +1029,220 @@ router.patch('/:linkId/update', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/apilinks/{linkId}/analytics:
+ *   get:
+ *     summary: Get API link analytics
+ *     description: |
+ *       Requests to the link's public URL, stream and WebSocket subscriptions over a time range
+ *       (at most 24 hours, the last hour by default): totals, hits per status, hits per minute
+ *       and the clients (IP address and user agent) seen. Errors are responses with status 400 or above.
+ *     tags: [ApiLinks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link ID
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Range start (ISO date or epoch milliseconds, defaults to an hour before `to`)
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Range end (ISO date or epoch milliseconds, defaults to now)
+ *     responses:
+ *       200:
+ *         description: Link analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     totals:
+ *                       type: object
+ *                       description: hits, errors, errorRate and uniqueClients over the range
+ *                     statuses:
+ *                       type: object
+ *                       description: Hits per response status
+ *                       example: { "200": 1180, "304": 2410, "401": 3 }
+ *                     series:
+ *                       type: array
+ *                       description: One entry per minute with minute, hits, errors, errorRate and uniqueClients
+ *                       items:
+ *                         type: object
+ *                     clients:
+ *                       type: array
+ *                       description: Up to 100 clients with ip, userAgent, hits, errors, errorRate, firstSeen and lastSeen
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Invalid time range
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Link not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/apilinks/:linkId/analytics - Get access analytics for a link
+router.get('/:linkId/analytics', authenticateToken, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const range = parseAnalyticsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        error: range.error
+      });
+    }
+
+    const owned = await ApiLink.exists({ linkId, userId: req.userId });
+    if (!owned) {
+      return res.status(404).json({
+        success: false,
+        error: 'API link not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await linkAnalytics(linkId, range.from, range.to)
+    });
+
+  } catch (error) {
+    console.error('Error fetching API link analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/apilinks/{linkId}/sign:
+ *   post:
+ *     summary: Sign API link URL
+ *     description: |
+ *       Issue a signed public URL for a link with requireSignature. The `expires` and `signature`
+ *       query parameters also work on the link's /stream URL and in WebSocket subscribe messages.
+ *     tags: [ApiLinks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link ID to sign
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresIn:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 2592000
+ *                 default: 3600
+ *                 description: Seconds the signed URL stays valid (at most 30 days)
+ *     responses:
+ *       200:
+ *         description: Signed URL issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 signedUrl:
+ *                   type: string
+ *                 expires:
+ *                   type: integer
+ *                   description: Expiry time in epoch seconds
+ *                 signature:
+ *                   type: string
+ *       400:
+ *         description: Invalid expiresIn, or the link does not require signatures
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Link not found
+ *       500:
+ *         description: Server error
+ */
+// POST /api/apilinks/:linkId/sign - Issue a signed public URL
+router.post('/:linkId/sign', authenticateToken, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const expiresIn = req.body.expiresIn ?? DEFAULT_SIGNATURE_TTL_S;
+
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > MAX_SIGNATURE_TTL_S) {
+      return res.status(400).json({
+        success: false,
+        error: `expiresIn must be an integer between 1 and ${MAX_SIGNATURE_TTL_S} seconds`
+      });
+    }
+
+    const apiLink = await ApiLink.findOne({
+      linkId,
+      userId: req.userId
+    }).select('+signingSecret');
+
+    if (!apiLink) {
+      return res.status(404).json({
+        success: false,
+        error: 'API link not found'
+      });
+    }
+
+    if (!apiLink.requireSignature || !apiLink.signingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Link does not require signed URLs. Set requireSignature to true first'
+      });
+    }
+
+    const { expires, signature } = signLink(apiLink, expiresIn);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const query = new URLSearchParams({ expires: String(expires), signature });
+
+    res.json({
+      success: true,
+      signedUrl: `${baseUrl}/api/public/${linkId}?${query}`,
+      expires,
+      signature
+    });
+
+  } catch (error) {
+    console.error('Error signing API link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/apilinks/{linkId}/toggle:
@@ -555,4 +1387,184 @@ router.patch('/:linkId/status', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/apilinks/{linkId}/freeze:
+ *   patch:
+ *     summary: Freeze API link
+ *     description: |
+ *       Pin a match link to a snapshot so its public URL, stream and WebSocket subscriptions keep
+ *       serving that snapshot instead of the latest, e.g. to hold a graphic while the feed glitches.
+ *       Responses include `frozen: true` and the pinned snapshot's `timestamp`. Tournament and bundle
+ *       links cannot be frozen (freeze a bundle's member links instead).
+ *     tags: [ApiLinks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link ID to freeze
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               snapshotId:
+ *                 type: string
+ *                 description: |
+ *                   Snapshot to pin (see /api/livescore/{matchId}/history). Defaults to the snapshot the
+ *                   link serves now: the latest, or the newest one old enough for its delaySeconds.
+ *     responses:
+ *       200:
+ *         description: API link frozen
+ *       400:
+ *         description: Tournament or bundle link
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Link, match data or snapshot not found
+ *       500:
+ *         description: Server error
+ */
+// PATCH /api/apilinks/:linkId/freeze - Pin API link to a snapshot
+router.patch('/:linkId/freeze', authenticateToken, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+    const { snapshotId } = req.body;
+
+    const apiLink = await ApiLink.findOne({
+      linkId,
+      userId: req.userId
+    });
+
+    if (!apiLink) {
+      return res.status(404).json({
+        success: false,
+        error: 'API link not found'
+      });
+    }
+
+    if (readsTournament(apiLink.type, apiLink) || apiLink.type === 'bundle') {
+      return res.status(400).json({
+        success: false,
+        error: 'Only match links can be frozen'
+      });
+    }
+
+    const matchId = apiLink.matchId.trim();
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match data not found'
+      });
+    }
+
+    // Default to what the link shows now. Live links skip the cache so they
+    // freeze on what the feed last wrote.
+    const cutoff = delayCutoff(apiLink);
+    let snapshot;
+    if (snapshotId !== undefined && snapshotId !== null) {
+      snapshot = await getSnapshotById(matchId, snapshotId);
+    } else if (cutoff) {
+      snapshot = await getSnapshotBefore(matchId, cutoff);
+    } else {
+      snapshot = await getLatestSnapshot(matchId, { fresh: true });
+    }
+
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+
+    apiLink.frozenSnapshotId = String(snapshot._id);
+    apiLink.frozenTimestamp = snapshot.timestamp;
+    apiLink.frozenAt = new Date();
+    await apiLink.save();
+    // Open streams switch to the pinned snapshot without waiting for new data
+    await notifyLinkChange(apiLink);
+
+    res.json({
+      success: true,
+      data: apiLink,
+      message: 'API link frozen successfully'
+    });
+
+  } catch (error) {
+    console.error('Error freezing API link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/apilinks/{linkId}/unfreeze:
+ *   patch:
+ *     summary: Unfreeze API link
+ *     description: Return a frozen link to serving the latest snapshot
+ *     tags: [ApiLinks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Link ID to unfreeze
+ *     responses:
+ *       200:
+ *         description: API link serving live data
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Link not found
+ *       500:
+ *         description: Server error
+ */
+// PATCH /api/apilinks/:linkId/unfreeze - Return API link to live data
+router.patch('/:linkId/unfreeze', authenticateToken, async (req, res) => {
+  try {
+    const { linkId } = req.params;
+
+    const apiLink = await ApiLink.findOne({
+      linkId,
+      userId: req.userId
+    });
+
+    if (!apiLink) {
+      return res.status(404).json({
+        success: false,
+        error: 'API link not found'
+      });
+    }
+
+    Object.assign(apiLink, UNFROZEN);
+    await apiLink.save();
+    await notifyLinkChange(apiLink);
+
+    res.json({
+      success: true,
+      data: apiLink,
+      message: 'API link unfrozen successfully'
+    });
+
+  } catch (error) {
+    console.error('Error unfreezing API link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,361 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  MAX_ASSET_BYTES,
+  ASSET_KINDS,
+  IMAGE_TYPES,
+  detectImageType,
+  toAssetJSON,
+  saveAsset,
+  findAsset,
+  listUserAssets,
+  openAssetStream,
+  deleteAsset
+} = require('../utils/assets');
+
+// Asset bytes never change (a new upload gets a new ID), so caches may keep them
+const ASSET_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Read the upload as raw bytes whatever its Content-Type; the image type is sniffed later
+const readUpload = express.raw({ type: () => true, limit: MAX_ASSET_BYTES });
+
+const parseUpload = (req, res, next) => {
+  readUpload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({
+        success: false,
+        error: `Assets cannot exceed ${MAX_ASSET_BYTES} bytes`
+      });
+    }
+    res.status(400).json({
+      success: false,
+      error: 'Could not read upload'
+    });
+  });
+};
+
+const withUrl = (req, file) => {
+  const asset = toAssetJSON(file);
+  return {
+    ...asset,
+    url: `${req.protocol}://${req.get('host')}${asset.path}`
+  };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Asset:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [logo, sponsor, other]
+ *         originalName:
+ *           type: string
+ *           nullable: true
+ *         contentType:
+ *           type: string
+ *           enum: [image/png, image/jpeg, image/gif, image/webp]
+ *         size:
+ *           type: integer
+ *           description: Size in bytes
+ *         uploadDate:
+ *           type: string
+ *           format: date-time
+ *         path:
+ *           type: string
+ *           example: /api/assets/665f1c2e8a1b2c3d4e5f6a7b.png
+ *         url:
+ *           type: string
+ *           description: Public URL to use in team logoUrl or vMix image fields
+ */
+
+/**
+ * @swagger
+ * /api/assets:
+ *   post:
+ *     summary: Upload an image asset
+ *     description: |
+ *       Store a team logo or sponsor image and get a stable public URL for it. Send the image
+ *       bytes as the request body. PNG, JPEG, GIF and WebP are accepted (detected from the
+ *       file contents), up to 2 MB by default.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [logo, sponsor, other]
+ *           default: other
+ *       - in: query
+ *         name: name
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Original file name, kept for reference
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         image/png:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/jpeg:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/gif:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *         image/webp:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       201:
+ *         description: Asset stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Asset'
+ *       400:
+ *         description: Invalid kind or empty upload
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: Upload too large
+ *       415:
+ *         description: Not a supported image type
+ *       500:
+ *         description: Server error
+ */
+// POST /api/assets - Upload an image asset
+router.post('/', authenticateToken, parseUpload, async (req, res) => {
+  try {
+    const kind = req.query.kind ? String(req.query.kind) : 'other';
+    if (!ASSET_KINDS.includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid kind. Use: ${ASSET_KINDS.join(', ')}`
+      });
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Send the image bytes as the request body'
+      });
+    }
+
+    const imageType = detectImageType(req.body);
+    if (!imageType) {
+      return res.status(415).json({
+        success: false,
+        error: `Unsupported image type. Use: ${IMAGE_TYPES.map(type => type.extension).join(', ')}`
+      });
+    }
+
+    const originalName = req.query.name ? String(req.query.name).slice(0, 200) : null;
+    const file = await saveAsset(req.userId, req.body, imageType, { kind, originalName });
+
+    res.status(201).json({
+      success: true,
+      data: withUrl(req, file)
+    });
+
+  } catch (error) {
+    console.error('Error uploading asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assets:
+ *   get:
+ *     summary: Get user's assets
+ *     description: List the images uploaded by the authenticated user, newest first
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of assets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Asset'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// GET /api/assets - Get user's assets
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const files = await listUserAssets(req.userId);
+
+    res.json({
+      success: true,
+      count: files.length,
+      data: files.map(file => withUrl(req, file))
+    });
+
+  } catch (error) {
+    console.error('Error fetching assets:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assets/{fileName}:
+ *   get:
+ *     summary: Download an asset
+ *     description: |
+ *       Public, cacheable image URL for overlays. The file name is the asset ID with or
+ *       without its extension. Responses are immutable and may be embedded cross-origin.
+ *     tags: [Assets]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: fileName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: 665f1c2e8a1b2c3d4e5f6a7b.png
+ *     responses:
+ *       200:
+ *         description: Image bytes
+ *       304:
+ *         description: Not modified
+ *       404:
+ *         description: Asset not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/assets/:fileName - Download an asset (public)
+router.get('/:fileName', async (req, res) => {
+  try {
+    const file = await findAsset(req.params.fileName.split('.')[0]);
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': file.metadata.contentType,
+      'Cache-Control': ASSET_CACHE_CONTROL,
+      'ETag': `"${file._id}"`,
+      'Last-Modified': new Date(file.uploadDate).toUTCString(),
+      // Helmet defaults to same-origin, which would block overlays on other hosts
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.set('Content-Length', String(file.length));
+    openAssetStream(file)
+      .on('error', (error) => {
+        console.error('Error streaming asset:', error);
+        res.destroy(error);
+      })
+      .pipe(res);
+
+  } catch (error) {
+    console.error('Error fetching asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/assets/{assetId}:
+ *   delete:
+ *     summary: Delete an asset
+ *     description: Delete an uploaded image. Links and teams still pointing at its URL will get 404s.
+ *     tags: [Assets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Asset deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Asset not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/assets/:assetId - Delete an asset
+router.delete('/:assetId', authenticateToken, async (req, res) => {
+  try {
+    const file = await findAsset(req.params.assetId.split('.')[0]);
+    if (!file || String(file.metadata.userId) !== String(req.userId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Asset not found'
+      });
+    }
+
+    await deleteAsset(file);
+
+    res.json({
+      success: true,
+      message: 'Asset deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting asset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+module.exports = router;
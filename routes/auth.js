@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { deleteUserAssets } = require('../utils/assets');
 
 /**
  * @swagger
@@ -86,30 +88,6 @@ const generateToken = (userId) => {
   });
 };
 
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Access token required'
-    });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret', (err, decoded) => {
-    if (err) {
-      return res.status(403).json({
-        success: false,
-        error: 'Invalid or expired token'
-      });
-    }
-    req.userId = decoded.userId;
-    next();
-  });
-};
-
 /**
  * @swagger
  * /api/auth/signup:
@@ -328,7 +306,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
  * /api/auth/delete:
  *   delete:
  *     summary: Delete user account
- *     description: Delete the current user's account
+ *     description: Delete the current user's account and the assets they uploaded
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -355,7 +333,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // DELETE /api/auth/delete
 router.delete('/delete', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.userId);
+    const user = await User.findById(req.userId);
     
     if (!user) {
       return res.status(404).json({
@@ -364,11 +342,17 @@ router.delete('/delete', authenticateToken, async (req, res) => {
       });
     }
 
+    // Remove the logos and sponsor images the user uploaded first, so a failed
+    // cleanup leaves an account that can retry instead of assets without an owner
+    await deleteUserAssets(user._id);
+    await User.findByIdAndDelete(user._id);
+
     res.json({
       success: true,
       message: 'User deleted successfully'
     });
   } catch (error) {
+    console.error('Error deleting user:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error'
@@ -1,6 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
+const {
+  matchExists,
+  getLatestSnapshot,
+  getSnapshotById,
+  getSnapshotBefore,
+  getPreviousSnapshot,
+  getNearestSnapshot,
+  findSnapshots,
+  decodeCursor
+} = require('../utils/matchData');
+const { SNAPSHOT_TYPES, projectSnapshot } = require('../utils/projection');
+const { parseTimestamp, parseLimit } = require('../utils/queryParams');
+const { diffSnapshots } = require('../utils/snapshotDiff');
+const { resolveOutput, sendSnapshot } = require('../utils/formatters');
+const { sendNotModified, outputParts } = require('../utils/conditional');
+const { syncMatchEvents, getMatchEvents } = require('../utils/matchEvents');
+const { extractPlayers, rankPlayers, parsePlayerQuery } = require('../utils/players');
+const { loadOverrides, overrideSnapshot } = require('../utils/overrides');
+const { identifyUser } = require('../middleware/auth');
+const MatchEvent = require('../models/MatchEvent');
 
 /**
  * @swagger
@@ -16,14 +35,94 @@ const mongoose = require('mongoose');
  *         timestamp:
  *           type: string
  *           format: date-time
+ *         overridden:
+ *           type: boolean
+ *           description: |
+ *             Whether operator overrides changed the data. Only the signed-in user's overrides
+ *             apply (none without a token). Changed team rows list the overridden fields in their
+ *             own `overridden` array.
  *         data:
  *           type: object
  *           description: Match data based on requested type
  *         error:
  *           type: string
  *           description: Error message if any
+ *     PlayerStats:
+ *       type: object
+ *       properties:
+ *         rank:
+ *           type: integer
+ *         playerName:
+ *           type: string
+ *         teamKey:
+ *           type: string
+ *         teamName:
+ *           type: string
+ *           nullable: true
+ *         kills:
+ *           type: number
+ *         damage:
+ *           type: number
+ *         knocks:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [alive, knocked, dead]
+ *           nullable: true
+ *         matchesPlayed:
+ *           type: integer
+ *           description: Matches the player appeared in (tournament leaderboards only)
+ *     SnapshotEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Snapshot ID
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *         data:
+ *           type: object
+ *           description: Snapshot data projected by the requested type
  */
 
+// History routes default to the whole snapshot
+const HISTORY_DEFAULT_TYPE = 'full';
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+const EVENTS_DEFAULT_LIMIT = 50;
+const EVENTS_MAX_LIMIT = 200;
+
+const historyType = (req) => {
+  const type = req.query.type || HISTORY_DEFAULT_TYPE;
+  return SNAPSHOT_TYPES.includes(type) ? type : null;
+};
+
+const invalidHistoryType = (res) => {
+  return res.status(400).json({
+    success: false,
+    error: `Invalid type parameter. Use: ${SNAPSHOT_TYPES.join(', ')}`
+  });
+};
+
+// Resolve a snapshot reference: a snapshot ID, or a time (the latest snapshot at or before it)
+const findSnapshotByRef = async (matchId, ref) => {
+  const snapshot = await getSnapshotById(matchId, ref);
+  if (snapshot) return snapshot;
+
+  const at = parseTimestamp(ref);
+  return at ? getSnapshotBefore(matchId, at) : null;
+};
+
+const toHistoryEntry = (snapshot, type) => {
+  return {
+    _id: snapshot._id,
+    timestamp: snapshot.timestamp,
+    data: projectSnapshot(snapshot, type)
+  };
+};
+
 /**
  * @swagger
  * /api/livescore/{matchId}:
@@ -31,6 +130,9 @@ const mongoose = require('mongoose');
  *     summary: Get live score data
  *     description: Fetch live score data for a specific match based on type
  *     tags: [LiveScore]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: matchId
@@ -45,6 +147,32 @@ const mongoose = require('mongoose');
  *           type: string
  *           enum: [alive_status, points_table]
  *         description: Type of data to fetch
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, xml, csv, tsv]
+ *         description: Response format (XML can also be requested with an Accept application/xml header)
+ *       - in: query
+ *         name: columns
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated CSV/TSV columns in output order (defaults to every column)
+ *       - in: query
+ *         name: shape
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [nested, flat]
+ *         description: Use `flat` for rank-indexed keys such as rank1_team, rank1_points and team3_alive
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous response; answered with 304 when the data is unchanged
  *     responses:
  *       200:
  *         description: Live score data retrieved successfully
@@ -52,6 +180,17 @@ const mongoose = require('mongoose');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/LiveScoreResponse'
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/tab-separated-values:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Data unchanged since the ETag sent in If-None-Match
  *       400:
  *         description: Invalid type parameter
  *         content:
@@ -82,7 +221,7 @@ const mongoose = require('mongoose');
  *         description: Server error
  */
 // GET /api/livescore/:matchId
-router.get('/:matchId', async (req, res) => {
+router.get('/:matchId', identifyUser, async (req, res) => {
   try {
     const { matchId } = req.params;
     const { type } = req.query;
@@ -95,15 +234,16 @@ router.get('/:matchId', async (req, res) => {
       });
     }
 
-    // Get the collection name based on matchId (convert hyphens to underscores)
-    const collectionName = `match_${matchId.replace(/-/g, '_')}`;
+    const output = resolveOutput(req);
+    if (output.error) {
+      return res.status(400).json({
+        success: false,
+        error: output.error
+      });
+    }
 
-    
-    // Check if collection exists
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    const collectionExists = collections.some(col => col.name === collectionName);
-    
-    if (!collectionExists) {
+    // Check if the match collection exists
+    if (!(await matchExists(matchId))) {
       return res.status(404).json({
         success: false,
         error: 'Match not found'
@@ -111,8 +251,7 @@ router.get('/:matchId', async (req, res) => {
     }
 
     // Get the latest document from the collection
-    const collection = mongoose.connection.db.collection(collectionName);
-    const latestMatch = await collection.findOne({}, { sort: { timestamp: -1 } });
+    const latestMatch = await getLatestSnapshot(matchId);
 
     if (!latestMatch) {
       return res.status(404).json({
@@ -121,26 +260,21 @@ router.get('/:matchId', async (req, res) => {
       });
     }
 
-    // Extract data based on type
-    let responseData = {};
-    
-    if (type === 'points_table') {
-      responseData = {
-        pointsTable: latestMatch.pointsTable || [],
-        matchSummary: latestMatch.MatchSummary1 || {}
-      };
-    } else if (type === 'alive_status') {
-      responseData = {
-        teamStats: latestMatch.TeamStats1 || [],
-        matchSummary: latestMatch.MatchSummary1 || {}
-      };
+    const overrides = await loadOverrides(matchId, req.userId);
+
+    // Unchanged polls get a 304 without building the response body
+    const version = [type, matchId, latestMatch._id, new Date(latestMatch.timestamp).getTime(), overrides.version];
+    if (sendNotModified(req, res, [...version, ...outputParts(output)])) {
+      return;
     }
 
-    res.json({
-      success: true,
+    const { snapshot, overridden } = overrideSnapshot(latestMatch, overrides);
+    sendSnapshot(res, output, {
+      type,
       matchId: latestMatch.matchId,
       timestamp: latestMatch.timestamp,
-      data: responseData
+      overridden,
+      data: projectSnapshot(snapshot, type)
     });
 
   } catch (error) {
@@ -159,6 +293,9 @@ router.get('/:matchId', async (req, res) => {
  *     summary: Get full match data
  *     description: Fetch complete match data including all information
  *     tags: [LiveScore]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: matchId
@@ -166,6 +303,32 @@ router.get('/:matchId', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Match ID to fetch data for
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, xml, csv, tsv]
+ *         description: Response format (XML can also be requested with an Accept application/xml header)
+ *       - in: query
+ *         name: columns
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated CSV/TSV columns in output order (defaults to every column)
+ *       - in: query
+ *         name: shape
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [nested, flat]
+ *         description: Use `flat` for rank-indexed keys such as rank1_team, rank1_points and team3_alive
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous response; answered with 304 when the data is unchanged
  *     responses:
  *       200:
  *         description: Full match data retrieved successfully
@@ -181,28 +344,43 @@ router.get('/:matchId', async (req, res) => {
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *                 overridden:
+ *                   type: boolean
+ *                   description: Whether the signed-in user's operator overrides changed the data
  *                 data:
  *                   type: object
  *                   description: Complete match data
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/tab-separated-values:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Data unchanged since the ETag sent in If-None-Match
  *       404:
  *         description: Match not found
  *       500:
  *         description: Server error
  */
 // GET /api/livescore/:matchId/full
-router.get('/:matchId/full', async (req, res) => {
+router.get('/:matchId/full', identifyUser, async (req, res) => {
   try {
     const { matchId } = req.params;
 
-    // Get the collection name based on matchId (convert hyphens to underscores)
-    const collectionName = `match_${matchId.replace(/-/g, '_')}`;
-    console.log(collectionName);
-    
-    // Check if collection exists
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    const collectionExists = collections.some(col => col.name === collectionName);
-    
-    if (!collectionExists) {
+    const output = resolveOutput(req);
+    if (output.error) {
+      return res.status(400).json({
+        success: false,
+        error: output.error
+      });
+    }
+
+    // Check if the match collection exists
+    if (!(await matchExists(matchId))) {
       return res.status(404).json({
         success: false,
         error: 'Match not found'
@@ -210,8 +388,7 @@ router.get('/:matchId/full', async (req, res) => {
     }
 
     // Get the latest document from the collection
-    const collection = mongoose.connection.db.collection(collectionName);
-    const latestMatch = await collection.findOne({}, { sort: { timestamp: -1 } });
+    const latestMatch = await getLatestSnapshot(matchId);
 
     if (!latestMatch) {
       return res.status(404).json({
@@ -220,15 +397,787 @@ router.get('/:matchId/full', async (req, res) => {
       });
     }
 
+    const overrides = await loadOverrides(matchId, req.userId);
+
+    const version = ['full', matchId, latestMatch._id, new Date(latestMatch.timestamp).getTime(), overrides.version];
+    if (sendNotModified(req, res, [...version, ...outputParts(output)])) {
+      return;
+    }
+
+    const { snapshot, overridden } = overrideSnapshot(latestMatch, overrides);
+    sendSnapshot(res, output, {
+      type: 'full',
+      matchId: latestMatch.matchId,
+      timestamp: latestMatch.timestamp,
+      overridden,
+      data: snapshot
+    });
+
+  } catch (error) {
+    console.error('Error fetching full match data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/livescore/{matchId}/history:
+ *   get:
+ *     summary: Browse match snapshot history
+ *     description: Page through a match's snapshots in timestamp order, optionally within a time range
+ *     tags: [LiveScore]
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID to fetch history for
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [full, alive_status, points_table]
+ *           default: full
+ *         description: Projection applied to each snapshot
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Earliest snapshot timestamp (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Latest snapshot timestamp (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Number of snapshots per page
+ *       - in: query
+ *         name: cursor
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *     responses:
+ *       200:
+ *         description: Page of snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor for the next page, null on the last page
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SnapshotEntry'
+ *       400:
+ *         description: Invalid type, time range, limit or cursor
+ *       404:
+ *         description: Match not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/livescore/:matchId/history
+router.get('/:matchId/history', async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const type = historyType(req);
+    if (!type) {
+      return invalidHistoryType(res);
+    }
+
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be ISO dates or epoch milliseconds'
+      });
+    }
+
+    const limit = parseLimit(req.query.limit, HISTORY_DEFAULT_LIMIT, HISTORY_MAX_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive integer'
+      });
+    }
+
+    let after;
+    if (req.query.cursor) {
+      after = decodeCursor(req.query.cursor);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor'
+        });
+      }
+    }
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const { snapshots, nextCursor } = await findSnapshots(matchId, { from, to, after, limit });
+
     res.json({
       success: true,
+      matchId,
+      type,
+      count: snapshots.length,
+      nextCursor,
+      data: snapshots.map(snapshot => toHistoryEntry(snapshot, type))
+    });
+
+  } catch (error) {
+    console.error('Error fetching match history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/livescore/{matchId}/history/nearest:
+ *   get:
+ *     summary: Get the snapshot nearest to a time
+ *     description: Fetch the snapshot whose timestamp is closest to the given time
+ *     tags: [LiveScore]
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID
+ *       - in: query
+ *         name: at
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Target time (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [full, alive_status, points_table]
+ *           default: full
+ *         description: Projection applied to the snapshot
+ *     responses:
+ *       200:
+ *         description: Snapshot found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SnapshotEntry'
+ *       400:
+ *         description: Invalid type or time
+ *       404:
+ *         description: Match or snapshot not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/livescore/:matchId/history/nearest
+router.get('/:matchId/history/nearest', async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const type = historyType(req);
+    if (!type) {
+      return invalidHistoryType(res);
+    }
+
+    const at = parseTimestamp(req.query.at);
+    if (!at) {
+      return res.status(400).json({
+        success: false,
+        error: 'at must be an ISO date or epoch milliseconds'
+      });
+    }
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const snapshot = await getNearestSnapshot(matchId, at);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'No match data found'
+      });
+    }
+
+    res.json({
+      success: true,
+      matchId,
+      type,
+      data: toHistoryEntry(snapshot, type)
+    });
+
+  } catch (error) {
+    console.error('Error fetching nearest snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/livescore/{matchId}/history/{snapshotId}:
+ *   get:
+ *     summary: Get a snapshot by ID
+ *     description: Fetch a single snapshot from the match history
+ *     tags: [LiveScore]
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID
+ *       - in: path
+ *         name: snapshotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Snapshot ID
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [full, alive_status, points_table]
+ *           default: full
+ *         description: Projection applied to the snapshot
+ *     responses:
+ *       200:
+ *         description: Snapshot found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/SnapshotEntry'
+ *       400:
+ *         description: Invalid type
+ *       404:
+ *         description: Match or snapshot not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/livescore/:matchId/history/:snapshotId
+router.get('/:matchId/history/:snapshotId', async (req, res) => {
+  try {
+    const { matchId, snapshotId } = req.params;
+
+    const type = historyType(req);
+    if (!type) {
+      return invalidHistoryType(res);
+    }
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const snapshot = await getSnapshotById(matchId, snapshotId);
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Snapshot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      matchId,
+      type,
+      data: toHistoryEntry(snapshot, type)
+    });
+
+  } catch (error) {
+    console.error('Error fetching snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/livescore/{matchId}/diff:
+ *   get:
+ *     summary: Compare two match snapshots
+ *     description: |
+ *       Show what changed between two snapshots: teams whose points, kills, rank or alive count
+ *       changed, teams added or removed, and changed MatchSummary1 fields. Defaults to the latest
+ *       snapshot compared with the one before it.
+ *     tags: [LiveScore]
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID
+ *       - in: query
+ *         name: from
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Snapshot ID or time to compare from (defaults to the snapshot before `to`)
+ *       - in: query
+ *         name: to
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Snapshot ID or time to compare to (defaults to the latest snapshot)
+ *     responses:
+ *       200:
+ *         description: Changes between the two snapshots
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 from:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                 to:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     teams:
+ *                       type: object
+ *                       properties:
+ *                         changed:
+ *                           type: array
+ *                           description: |
+ *                             Teams in both snapshots with changes as { metric: { from, to, delta } }. A side
+ *                             whose row left the table (e.g. the team dropped out of pointsTable) is null, without a delta.
+ *                           items:
+ *                             type: object
+ *                         added:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         removed:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                     summary:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       404:
+ *         description: Match or snapshot not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/livescore/:matchId/diff
+router.get('/:matchId/diff', async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const toSnapshot = req.query.to
+      ? await findSnapshotByRef(matchId, req.query.to)
+      : await getLatestSnapshot(matchId);
+
+    if (!toSnapshot) {
+      return res.status(404).json({
+        success: false,
+        error: req.query.to ? 'Snapshot not found for to' : 'No match data found'
+      });
+    }
+
+    const fromSnapshot = req.query.from
+      ? await findSnapshotByRef(matchId, req.query.from)
+      : await getPreviousSnapshot(matchId, toSnapshot);
+
+    if (!fromSnapshot) {
+      return res.status(404).json({
+        success: false,
+        error: req.query.from ? 'Snapshot not found for from' : 'No previous snapshot to compare'
+      });
+    }
+
+    res.json({
+      success: true,
+      matchId,
+      from: { _id: fromSnapshot._id, timestamp: fromSnapshot.timestamp },
+      to: { _id: toSnapshot._id, timestamp: toSnapshot.timestamp },
+      data: diffSnapshots(fromSnapshot, toSnapshot)
+    });
+
+  } catch (error) {
+    console.error('Error comparing match snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/livescore/{matchId}/players:
+ *   get:
+ *     summary: Get player leaderboard
+ *     description: |
+ *       Per-player kills, damage, knocks and alive status from the latest snapshot, highest
+ *       first. Ties are broken by the other stats, then by name. Use a player_leaderboard
+ *       API link to serve it to overlays, or to sum it over a tournament.
+ *     tags: [LiveScore]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID
+ *       - in: query
+ *         name: sortBy
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [kills, damage, knocks]
+ *           default: kills
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of players
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, xml, csv, tsv]
+ *         description: Response format (XML can also be requested with an Accept application/xml header)
+ *       - in: query
+ *         name: shape
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [nested, flat]
+ *         description: Use `flat` for keys such as player1_name, player1_team and player1_kills
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous response; answered with 304 when the data is unchanged
+ *     responses:
+ *       200:
+ *         description: Player leaderboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 overridden:
+ *                   type: boolean
+ *                   description: Whether the signed-in user's operator overrides changed the data
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     players:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PlayerStats'
+ *       304:
+ *         description: Data unchanged since the ETag sent in If-None-Match
+ *       400:
+ *         description: Invalid sortBy, limit or format
+ *       404:
+ *         description: Match not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/livescore/:matchId/players
+router.get('/:matchId/players', identifyUser, async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const { sortBy, limit, error } = parsePlayerQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const output = resolveOutput(req);
+    if (output.error) {
+      return res.status(400).json({
+        success: false,
+        error: output.error
+      });
+    }
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const latestMatch = await getLatestSnapshot(matchId);
+    if (!latestMatch) {
+      return res.status(404).json({
+        success: false,
+        error: 'No match data found'
+      });
+    }
+
+    const overrides = await loadOverrides(matchId, req.userId);
+
+    const version = ['players', matchId, latestMatch._id, sortBy, limit, overrides.version];
+    if (sendNotModified(req, res, [...version, ...outputParts(output)])) {
+      return;
+    }
+
+    const { snapshot, overridden } = overrideSnapshot(latestMatch, overrides);
+    sendSnapshot(res, output, {
+      type: 'player_leaderboard',
       matchId: latestMatch.matchId,
       timestamp: latestMatch.timestamp,
-      data: latestMatch
+      overridden,
+      data: {
+        players: rankPlayers(extractPlayers(snapshot), { sortBy, limit })
+      }
     });
 
   } catch (error) {
-    console.error('Error fetching full match data:', error);
+    console.error('Error fetching players:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/livescore/{matchId}/events:
+ *   get:
+ *     summary: Get derived match events
+ *     description: |
+ *       Events derived by comparing consecutive snapshots (eliminations, knocks, kills and
+ *       rank changes), newest first. Snapshots ingested since the last read are processed
+ *       before responding.
+ *     tags: [LiveScore]
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types to include (team_eliminated, player_knocked, player_eliminated, kills, rank_change)
+ *       - in: query
+ *         name: since
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only events at or after this time (ISO date or epoch milliseconds)
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *         description: Maximum number of events
+ *     responses:
+ *       200:
+ *         description: Events found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                       team:
+ *                         type: string
+ *                       teamName:
+ *                         type: string
+ *                       player:
+ *                         type: string
+ *                         nullable: true
+ *                       from: {}
+ *                       to: {}
+ *                       snapshotId:
+ *                         type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid type, time or limit
+ *       404:
+ *         description: Match not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/livescore/:matchId/events
+router.get('/:matchId/events', async (req, res) => {
+  try {
+    const { matchId } = req.params;
+
+    const types = req.query.type
+      ? String(req.query.type).split(',').map(type => type.trim()).filter(Boolean)
+      : [];
+    const unknownType = types.find(type => !MatchEvent.EVENT_TYPES.includes(type));
+    if (unknownType) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid event type: ${unknownType}`
+      });
+    }
+
+    const since = parseTimestamp(req.query.since);
+    if (since === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'since must be an ISO date or epoch milliseconds'
+      });
+    }
+
+    const limit = parseLimit(req.query.limit, EVENTS_DEFAULT_LIMIT, EVENTS_MAX_LIMIT);
+    if (limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'limit must be a positive integer'
+      });
+    }
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    await syncMatchEvents(matchId);
+    const events = await getMatchEvents(matchId, { limit, types, since });
+
+    res.json({
+      success: true,
+      matchId,
+      count: events.length,
+      data: events
+    });
+
+  } catch (error) {
+    console.error('Error fetching match events:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error'
@@ -0,0 +1,723 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const MatchOverride = require('../models/MatchOverride');
+const { authenticateToken, authenticateIngest } = require('../middleware/auth');
+const {
+  matchExists,
+  getCollectionName,
+  listMatchCollections,
+  describeMatchCollection,
+  insertSnapshots
+} = require('../utils/matchData');
+const { syncMatchEvents } = require('../utils/matchEvents');
+const { parseLimit, parsePage } = require('../utils/queryParams');
+const {
+  MAX_BATCH_SIZE,
+  validateSnapshot,
+  toSnapshotDocument
+} = require('../utils/snapshotSchema');
+const { validateOverrideValue, overridesChanged } = require('../utils/overrides');
+
+const CATALOG_DEFAULT_LIMIT = 20;
+const CATALOG_MAX_LIMIT = 100;
+
+// A match counts as live while its latest snapshot is at most this old
+const LIVE_WINDOW_MS = parseInt(process.env.MATCH_LIVE_WINDOW_MS, 10) || 120000;
+
+// User fields shown in the override audit trail
+const AUDIT_USER_FIELDS = 'firstName lastName email';
+
+/**
+ * @swagger
+ * components:
+ *   securitySchemes:
+ *     ingestKey:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Ingest-Key
+ *   schemas:
+ *     MatchSnapshot:
+ *       type: object
+ *       description: |
+ *         One match state. At least one of pointsTable, TeamStats1 or MatchSummary1 is required.
+ *         Team rows need a team name or team ID, and known numeric fields (rank, points, kills,
+ *         alive count) must be non-negative numbers. Other fields are stored as sent.
+ *       properties:
+ *         pointsTable:
+ *           type: array
+ *           items:
+ *             type: object
+ *         TeamStats1:
+ *           type: array
+ *           items:
+ *             type: object
+ *         MatchSummary1:
+ *           type: object
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *           description: Defaults to the time the server received the snapshot
+ *     MatchOverride:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           description: Owner; the override only applies to this user's links, tournaments and LiveScore requests
+ *         matchId:
+ *           type: string
+ *         team:
+ *           type: string
+ *           description: In-game team ID or name as sent by the feed (case-insensitive)
+ *         action:
+ *           type: string
+ *           enum: [rename, adjust_points, eliminate, hide]
+ *         value:
+ *           description: New team name for rename, points to add (negative for penalties) for adjust_points
+ *           nullable: true
+ *         reason:
+ *           type: string
+ *           nullable: true
+ *         createdBy:
+ *           type: object
+ *           description: User who set the override
+ *         clearedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         clearedBy:
+ *           type: object
+ *           nullable: true
+ *           description: User who cleared the override
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/matches:
+ *   get:
+ *     summary: List available matches
+ *     description: |
+ *       List every match that has stored snapshots, with its snapshot count, first and last
+ *       snapshot times and whether it is live (last snapshot within the live window,
+ *       2 minutes by default). Matches are ordered by collection name.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive part of the match ID
+ *       - in: query
+ *         name: page
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Page of matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 pages:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       matchId:
+ *                         type: string
+ *                       collection:
+ *                         type: string
+ *                       snapshotCount:
+ *                         type: integer
+ *                       firstTimestamp:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       lastTimestamp:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       live:
+ *                         type: boolean
+ *       400:
+ *         description: Invalid page or limit
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// GET /api/matches - List available matches
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const page = parsePage(req.query.page);
+    const limit = parseLimit(req.query.limit, CATALOG_DEFAULT_LIMIT, CATALOG_MAX_LIMIT);
+    if (page === null || limit === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'page and limit must be positive integers'
+      });
+    }
+
+    // Search the collection names, which hold the match ID with hyphens as underscores
+    const search = req.query.search
+      ? getCollectionName(req.query.search).slice('match_'.length).toLowerCase()
+      : '';
+    const collections = (await listMatchCollections())
+      .filter(name => name.slice('match_'.length).toLowerCase().includes(search))
+      .sort();
+
+    const pageCollections = collections.slice((page - 1) * limit, page * limit);
+    const matches = await Promise.all(pageCollections.map(describeMatchCollection));
+
+    const now = Date.now();
+    const data = matches.map(match => ({
+      ...match,
+      live: !!match.lastTimestamp && now - new Date(match.lastTimestamp).getTime() <= LIVE_WINDOW_MS
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      total: collections.length,
+      page,
+      pages: Math.ceil(collections.length / limit),
+      data
+    });
+
+  } catch (error) {
+    console.error('Error listing matches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matches/{matchId}/snapshots:
+ *   post:
+ *     summary: Ingest match snapshots
+ *     description: |
+ *       Validate and store one or more snapshots in the match_<matchId> collection read by the
+ *       LiveScore and public routes. Send a single snapshot, an array, or { snapshots: [...] }
+ *       (up to 100 per request). The server stamps matchId, and timestamp when it is missing.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *       - ingestKey: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Match ID the snapshots belong to
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             oneOf:
+ *               - $ref: '#/components/schemas/MatchSnapshot'
+ *               - type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/MatchSnapshot'
+ *               - type: object
+ *                 properties:
+ *                   snapshots:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/MatchSnapshot'
+ *           example:
+ *             pointsTable:
+ *               - teamName: "Team A"
+ *                 rank: 1
+ *                 points: 12
+ *                 kills: 7
+ *             TeamStats1:
+ *               - teamName: "Team A"
+ *                 alive: 4
+ *             MatchSummary1:
+ *               map: "Erangel"
+ *     responses:
+ *       201:
+ *         description: Snapshots stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       timestamp:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Invalid token or ingest key
+ *       500:
+ *         description: Server error
+ */
+// POST /api/matches/:matchId/snapshots - Ingest match snapshots
+router.post('/:matchId/snapshots', authenticateIngest, async (req, res) => {
+  try {
+    const matchId = req.params.matchId.trim();
+    const isBatch = Array.isArray(req.body) || Array.isArray(req.body.snapshots);
+    const snapshots = Array.isArray(req.body) ? req.body : (req.body.snapshots || [req.body]);
+
+    if (!matchId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match ID is required'
+      });
+    }
+
+    if (!Array.isArray(req.body) && req.body.snapshots !== undefined && !isBatch) {
+      return res.status(400).json({
+        success: false,
+        error: 'snapshots must be an array'
+      });
+    }
+
+    if (snapshots.length === 0 || snapshots.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `Send between 1 and ${MAX_BATCH_SIZE} snapshots`
+      });
+    }
+
+    // Validate every snapshot before writing any of them
+    const messages = [];
+    snapshots.forEach((snapshot, index) => {
+      validateSnapshot(snapshot).forEach(message => {
+        messages.push(isBatch ? `snapshots[${index}]: ${message}` : message);
+      });
+    });
+
+    if (messages.length) {
+      return res.status(400).json({
+        success: false,
+        error: messages.join(', ')
+      });
+    }
+
+    // Snapshots without a timestamp keep their batch order, one millisecond apart
+    const receivedAt = Date.now();
+    const documents = snapshots.map((snapshot, index) => {
+      return toSnapshotDocument(snapshot, matchId, new Date(receivedAt + index));
+    });
+
+    await insertSnapshots(matchId, documents);
+
+    // Derive events now so feeds don't pay for the catch-up on their next read
+    syncMatchEvents(matchId).catch(error => {
+      console.error('Error deriving match events:', error);
+    });
+
+    res.status(201).json({
+      success: true,
+      matchId,
+      count: documents.length,
+      data: documents.map(document => ({
+        _id: document._id,
+        timestamp: document.timestamp
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error ingesting match snapshots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+const validationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: messages.join(', ')
+  });
+};
+
+const populateAudit = (query) => {
+  return query
+    .populate('createdBy', AUDIT_USER_FIELDS)
+    .populate('clearedBy', AUDIT_USER_FIELDS);
+};
+
+/**
+ * @swagger
+ * /api/matches/{matchId}/overrides:
+ *   get:
+ *     summary: List your operator overrides for a match
+ *     description: |
+ *       Your active overrides in the order they are applied. With includeCleared=true, cleared
+ *       overrides are listed too, giving the full audit trail of who set and cleared what.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeCleared
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Overrides
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MatchOverride'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// GET /api/matches/:matchId/overrides - List your overrides for a match
+router.get('/:matchId/overrides', authenticateToken, async (req, res) => {
+  try {
+    const matchId = req.params.matchId.trim();
+    const filter = req.query.includeCleared === 'true'
+      ? { userId: req.userId, matchId }
+      : { userId: req.userId, matchId, clearedAt: null };
+
+    const overrides = await populateAudit(MatchOverride.find(filter).sort({ createdAt: 1, _id: 1 }));
+
+    res.json({
+      success: true,
+      matchId,
+      count: overrides.length,
+      data: overrides
+    });
+
+  } catch (error) {
+    console.error('Error fetching match overrides:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matches/{matchId}/overrides:
+ *   post:
+ *     summary: Set an operator override
+ *     description: |
+ *       Correct a team's data on top of the feed without touching the stored snapshots. Overrides
+ *       apply only to your own data: your public links and tournaments, and LiveScore requests
+ *       sent with your token. They are applied after any scoring rule:
+ *       rename shows a different team name, adjust_points adds points and re-ranks the points
+ *       table, eliminate shows the team as out, and hide leaves its rows out. The team is matched
+ *       on the feed's team ID or name. History, diff and event routes keep serving feed data.
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - team
+ *               - action
+ *             properties:
+ *               team:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [rename, adjust_points, eliminate, hide]
+ *               value:
+ *                 description: Team name for rename, non-zero points for adjust_points
+ *               reason:
+ *                 type: string
+ *                 maxLength: 200
+ *           example:
+ *             team: "Team A"
+ *             action: "adjust_points"
+ *             value: -2
+ *             reason: "Penalty for late lobby join"
+ *     responses:
+ *       201:
+ *         description: Override set
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Match not found
+ *       500:
+ *         description: Server error
+ */
+// POST /api/matches/:matchId/overrides - Set an override
+router.post('/:matchId/overrides', authenticateToken, async (req, res) => {
+  try {
+    const matchId = req.params.matchId.trim();
+    const { team, action, reason } = req.body;
+
+    if (!MatchOverride.ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        error: `Action must be one of: ${MatchOverride.ACTIONS.join(', ')}`
+      });
+    }
+
+    const { value, error } = validateOverrideValue(action, req.body.value);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    if (!(await matchExists(matchId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const override = await MatchOverride.create({
+      userId: req.userId,
+      matchId,
+      team: typeof team === 'string' ? team : undefined,
+      action,
+      value,
+      reason: typeof reason === 'string' && reason.trim() ? reason : null,
+      createdBy: req.userId
+    });
+    overridesChanged(matchId, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: override
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error setting match override:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matches/{matchId}/overrides:
+ *   delete:
+ *     summary: Clear every active override you set on a match
+ *     description: Cleared overrides stop applying and stay in the audit trail
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Overrides cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 cleared:
+ *                   type: integer
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/matches/:matchId/overrides - Clear all of a match's overrides
+router.delete('/:matchId/overrides', authenticateToken, async (req, res) => {
+  try {
+    const matchId = req.params.matchId.trim();
+
+    const result = await MatchOverride.updateMany(
+      { userId: req.userId, matchId, clearedAt: null },
+      { clearedAt: new Date(), clearedBy: req.userId }
+    );
+    if (result.modifiedCount) {
+      overridesChanged(matchId, req.userId);
+    }
+
+    res.json({
+      success: true,
+      matchId,
+      cleared: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Error clearing match overrides:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/matches/{matchId}/overrides/{overrideId}:
+ *   delete:
+ *     summary: Clear an override
+ *     description: The override stops applying and stays in the audit trail
+ *     tags: [Matches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: overrideId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Override cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/MatchOverride'
+ *       400:
+ *         description: Override already cleared
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Override not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/matches/:matchId/overrides/:overrideId - Clear an override
+router.delete('/:matchId/overrides/:overrideId', authenticateToken, async (req, res) => {
+  try {
+    const matchId = req.params.matchId.trim();
+    const override = mongoose.isValidObjectId(req.params.overrideId)
+      ? await MatchOverride.findOne({ _id: req.params.overrideId, userId: req.userId, matchId })
+      : null;
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        error: 'Override not found'
+      });
+    }
+
+    if (override.clearedAt) {
+      return res.status(400).json({
+        success: false,
+        error: 'Override already cleared'
+      });
+    }
+
+    override.clearedAt = new Date();
+    override.clearedBy = req.userId;
+    await override.save();
+    overridesChanged(matchId, req.userId);
+
+    res.json({
+      success: true,
+      data: await populateAudit(MatchOverride.findById(override._id))
+    });
+
+  } catch (error) {
+    console.error('Error clearing match override:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
-const ApiLink = require('../models/ApiLink');
+const {
+  loadLinkData,
+  buildLinkPayload,
+  resolveLinkData,
+  watchLinkSources,
+  linkSourcesKey
+} = require('../utils/linkData');
+const { findServableLink } = require('../utils/linkAccess');
+const { requestCredentials } = require('../utils/linkProtection');
+const { trackAccess, markLinkFound } = require('../utils/accessLog');
+const { sendNotModified, outputParts } = require('../utils/conditional');
+const { resolveOutput, sendSnapshot, toJsonEnvelope } = require('../utils/formatters');
+
+// Interval between SSE comment lines that keep idle connections open
+const STREAM_HEARTBEAT_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 15000;
 
 /**
  * @swagger
  * /api/public/{linkId}:
  *   get:
  *     summary: Access public API link
- *     description: Access match data through a public API link (no authentication required)
+ *     description: |
+ *       Access match data through a public API link (no authentication required). Bundle links
+ *       return each member's payload (type, matchId, timestamp, frozen, overridden and data, or
+ *       error when the member has no data yet) under its key; with `shape=flat` and in CSV/TSV
+ *       the member keys prefix each member's flat keys, e.g. matchA_rank1_team.
  *     tags: [Public]
  *     parameters:
  *       - in: path
@@ -17,6 +34,50 @@ const ApiLink = require('../models/ApiLink');
  *         schema:
  *           type: string
  *         description: Random link ID
+ *       - in: query
+ *         name: format
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, xml, csv, tsv]
+ *         description: Response format (XML can also be requested with an Accept application/xml header)
+ *       - in: query
+ *         name: columns
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Comma-separated CSV/TSV columns in output order (defaults to every column)
+ *       - in: query
+ *         name: shape
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [nested, flat]
+ *         description: Use `flat` for rank-indexed keys such as rank1_team, rank1_points and team3_alive
+ *       - in: header
+ *         name: If-None-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous response; answered with 304 when the data is unchanged
+ *       - in: query
+ *         name: expires
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Expiry (epoch seconds) of a signed URL, for links with requireSignature
+ *       - in: query
+ *         name: signature
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Signature of a signed URL (see POST /api/apilinks/{linkId}/sign)
+ *       - in: header
+ *         name: X-Link-Secret
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Access secret, for links protected with one
  *     responses:
  *       200:
  *         description: Match data retrieved successfully
@@ -32,96 +93,285 @@ const ApiLink = require('../models/ApiLink');
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *                   description: Time of the served snapshot (the pinned one while the link is frozen)
+ *                 frozen:
+ *                   type: boolean
+ *                   description: Whether the link is frozen to a snapshot (also sent as an X-Link-Frozen header)
+ *                 overridden:
+ *                   type: boolean
+ *                   description: |
+ *                     Whether operator overrides changed the data (also sent as an X-Link-Overridden
+ *                     header). Changed team rows list the overridden fields in their own `overridden` array.
  *                 data:
  *                   type: object
- *                   description: Match data based on link type
+ *                   description: Match data based on link type (member payloads by key for bundles)
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           text/tab-separated-values:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Data unchanged since the ETag sent in If-None-Match
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Missing or invalid access secret or signature, or the signed URL has expired
+ *       403:
+ *         description: Link is scheduled and its activeFrom time has not arrived, or the client address is not in its allowlist
  *       404:
- *         description: Link not found or inactive
+ *         description: Link not found or disabled
+ *       410:
+ *         description: Link has expired (expiresAt or its auto-expire time has passed)
  *       500:
  *         description: Server error
  */
 // GET /api/public/:linkId - Access public API link
-router.get('/:linkId', async (req, res) => {
+router.get('/:linkId', trackAccess('http'), async (req, res) => {
   try {
     const { linkId } = req.params;
 
-    // Find the API link (only active ones)
-    const apiLink = await ApiLink.findOne({ 
-      linkId, 
-      isActive: true 
-    });
+    const output = resolveOutput(req);
+    if (output.error) {
+      return res.status(400).json({
+        success: false,
+        error: output.error
+      });
+    }
 
+    // Find the API link (only active ones inside their active window that the
+    // request's address, secret and signature give access to)
+    const { apiLink, exists, status, unavailable } = await findServableLink(linkId, requestCredentials(req));
+    if (exists) markLinkFound(res);
     if (!apiLink) {
-      return res.status(404).json({
+      return res.status(status).json({
         success: false,
-        error: 'Not found'
+        ...unavailable
       });
     }
 
-    // Update access statistics
-    apiLink.accessCount += 1;
-    apiLink.lastAccessed = new Date();
-    await apiLink.save();
-
-    // Get the collection name based on matchId (convert hyphens to underscores and trim whitespace)
-    const cleanMatchId = apiLink.matchId.trim();
-    const collectionName = `match_${cleanMatchId.replace(/-/g, '_')}`;
-    
-    console.log('Looking for collection:', collectionName);
-    console.log('Original matchId:', apiLink.matchId);
-    console.log('Clean matchId:', cleanMatchId);
-    
-    // Check if collection exists
-    const collections = await mongoose.connection.db.listCollections().toArray();
-    const collectionExists = collections.some(col => col.name === collectionName);
-    
-    console.log('Available collections:', collections.map(col => col.name));
-    console.log('Collection exists:', collectionExists);
-    
-    if (!collectionExists) {
-      return res.status(404).json({
+    const loaded = await loadLinkData(apiLink);
+    if (loaded.error) {
+      return res.status(loaded.status).json({
         success: false,
-        error: 'Match data not found'
+        error: loaded.error
       });
     }
 
-    // Get the latest document from the collection
-    const collection = mongoose.connection.db.collection(collectionName);
-    const latestMatch = await collection.findOne({}, { sort: { timestamp: -1 } });
+    // Unchanged polls get a 304 without building the response body
+    if (sendNotModified(req, res, [...loaded.version, ...outputParts(output)])) {
+      return;
+    }
+
+    // CSV and TSV bodies carry no metadata, so the frozen and overridden states are also headers
+    const payload = buildLinkPayload(apiLink, loaded);
+    res.set('X-Link-Frozen', String(payload.frozen));
+    res.set('X-Link-Overridden', String(payload.overridden));
+    sendSnapshot(res, output, payload);
+
+  } catch (error) {
+    console.error('Error accessing public API link:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/public/{linkId}/stream:
+ *   get:
+ *     summary: Stream public API link updates
+ *     description: |
+ *       Server-Sent Events stream that pushes a `snapshot` event with the same payload as
+ *       GET /api/public/{linkId} whenever the link's data changes (a new snapshot of its match,
+ *       a change to its tournament, or a change behind any bundle member). Event IDs identify the data version, so reconnecting
+ *       clients that send `Last-Event-ID` only receive data they have not seen. Comment heartbeats keep the connection open.
+ *     tags: [Public]
+ *     parameters:
+ *       - in: path
+ *         name: linkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Random link ID
+ *       - in: query
+ *         name: shape
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [nested, flat]
+ *         description: Use `flat` for rank-indexed keys such as rank1_team
+ *       - in: header
+ *         name: Last-Event-ID
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: ID of the last snapshot event received before reconnecting
+ *       - in: query
+ *         name: expires
+ *         required: false
+ *         schema:
+ *           type: integer
+ *         description: Expiry (epoch seconds) of a signed URL, for links with requireSignature
+ *       - in: query
+ *         name: signature
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Signature of a signed URL (see POST /api/apilinks/{linkId}/sign)
+ *       - in: header
+ *         name: X-Link-Secret
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Access secret, for links protected with one
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid shape
+ *       401:
+ *         description: Missing or invalid access secret or signature, or the signed URL has expired
+ *       403:
+ *         description: Link is scheduled and its activeFrom time has not arrived, or the client address is not in its allowlist
+ *       404:
+ *         description: Link not found or disabled
+ *       410:
+ *         description: Link has expired (expiresAt or its auto-expire time has passed)
+ *       500:
+ *         description: Server error
+ */
+// GET /api/public/:linkId/stream - Stream public API link updates (SSE)
+router.get('/:linkId/stream', trackAccess('stream'), async (req, res) => {
+  try {
+    const { linkId } = req.params;
 
-    if (!latestMatch) {
-      return res.status(404).json({
+    const output = resolveOutput(req);
+    if (output.error) {
+      return res.status(400).json({
         success: false,
-        error: 'No match data found'
+        error: output.error
       });
     }
 
-    // Extract data based on link type
-    let responseData = {};
-    
-    if (apiLink.type === 'points_table') {
-      responseData = {
-        pointsTable: latestMatch.pointsTable || [],
-        matchSummary: latestMatch.MatchSummary1 || {}
-      };
-    } else if (apiLink.type === 'alive_status') {
-      responseData = {
-        teamStats: latestMatch.TeamStats1 || [],
-        matchSummary: latestMatch.MatchSummary1 || {}
-      };
-    } else if (apiLink.type === 'full') {
-      responseData = latestMatch;
+    const credentials = requestCredentials(req);
+    const { apiLink, exists, status, unavailable } = await findServableLink(linkId, credentials);
+    if (exists) markLinkFound(res);
+    if (!apiLink) {
+      return res.status(status).json({
+        success: false,
+        ...unavailable
+      });
     }
 
-    res.json({
-      success: true,
-      matchId: latestMatch.matchId,
-      timestamp: latestMatch.timestamp,
-      data: responseData
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    let lastEventId = req.get('Last-Event-ID') || null;
+    let closed = false;
+    let sending = false;
+    let pending = false;
+    // What is being watched; set once the link is first read, and again after edits change it
+    let watchedKey = null;
+    let stopWatching = () => {};
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      stopWatching();
+      res.end();
+    };
+
+    // Follow the link's current sources (an edit can move it to another match or tournament)
+    const watchSources = async (link) => {
+      const key = await linkSourcesKey(link);
+      if (closed || key === watchedKey) return;
+
+      watchedKey = key;
+      stopWatching();
+      stopWatching = watchLinkSources(link, sendLatest);
+    };
+
+    // Re-read the link and end the stream once it is disabled, deleted, outside
+    // its active window or no longer accessible with the connection's credentials
+    // (e.g. its signed URL expired). Returns the link, or null when the stream ended.
+    const currentLink = async () => {
+      const found = await findServableLink(linkId, credentials);
+      if (closed) return null;
+      if (found.apiLink) {
+        await watchSources(found.apiLink);
+        return closed ? null : found.apiLink;
+      }
+
+      res.write(`event: end\ndata: ${JSON.stringify({ success: false, ...found.unavailable })}\n\n`);
+      close();
+      return null;
+    };
+
+    // Push the link's current data unless the client already has it
+    const sendLatest = async () => {
+      if (closed) return;
+      if (sending) {
+        pending = true;
+        return;
+      }
+      sending = true;
+
+      try {
+        const link = await currentLink();
+        if (!link) return;
+
+        const result = await resolveLinkData(link);
+        if (result.error || closed) return;
+
+        const eventId = result.revision;
+        if (eventId === lastEventId) return;
+        lastEventId = eventId;
+
+        const envelope = toJsonEnvelope(output, result.payload);
+        res.write(`id: ${eventId}\nevent: snapshot\ndata: ${JSON.stringify(envelope)}\n\n`);
+      } catch (error) {
+        console.error('Error streaming public API link:', error);
+      } finally {
+        sending = false;
+        if (pending) {
+          pending = false;
+          sendLatest();
+        }
+      }
+    };
+
+    // Heartbeats also end streams whose link expired without new data arriving
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+      currentLink().catch(error => console.error('Error checking streamed API link:', error));
+    }, STREAM_HEARTBEAT_MS);
+
+    req.on('close', close);
+
+    sendLatest();
 
   } catch (error) {
-    console.error('Error accessing public API link:', error);
+    console.error('Error opening public API link stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
       error: 'Server Error'
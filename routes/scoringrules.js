@@ -0,0 +1,451 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const ScoringRule = require('../models/ScoringRule');
+const ApiLink = require('../models/ApiLink');
+const Tournament = require('../models/Tournament');
+const { authenticateToken } = require('../middleware/auth');
+const { matchExists, getLatestSnapshot } = require('../utils/matchData');
+const { applyScoringRule } = require('../utils/scoring');
+const { notifyTournamentChange } = require('../utils/tournaments');
+const { notifyLinkChange } = require('../utils/linkData');
+
+const RULE_FIELDS = ['name', 'placementPoints', 'killPoints', 'maxKillPoints', 'maxMatchPoints', 'bonuses'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScoringRule:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         placementPoints:
+ *           type: array
+ *           description: Points for each finishing place, starting with 1st. Places past the end score 0.
+ *           items:
+ *             type: number
+ *             minimum: 0
+ *           example: [15, 12, 10, 8, 6, 4, 2, 1, 1, 1]
+ *         killPoints:
+ *           type: number
+ *           minimum: 0
+ *           default: 1
+ *           description: Points per kill
+ *         maxKillPoints:
+ *           type: number
+ *           nullable: true
+ *           description: Most kill points a team can earn in one match
+ *         maxMatchPoints:
+ *           type: number
+ *           nullable: true
+ *           description: Most points a team can earn in one match, bonuses included
+ *         bonuses:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScoringBonus'
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     ScoringBonus:
+ *       type: object
+ *       required:
+ *         - condition
+ *         - points
+ *       properties:
+ *         label:
+ *           type: string
+ *         condition:
+ *           type: string
+ *           enum: [rank_at_most, kills_at_least, most_kills]
+ *           description: |
+ *             rank_at_most - finished at `value` or better;
+ *             kills_at_least - scored at least `value` kills;
+ *             most_kills - most kills in the match (shared on ties)
+ *         value:
+ *           type: number
+ *           description: Threshold for rank_at_most and kills_at_least
+ *         points:
+ *           type: number
+ *           description: Points added when the condition holds (negative for penalties)
+ */
+
+// Rule fields present in a request body
+const pickRuleFields = (body) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const validationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: messages.join(', ')
+  });
+};
+
+const findOwnRule = (req) => {
+  if (!mongoose.isValidObjectId(req.params.ruleId)) return null;
+  return ScoringRule.findOne({ _id: req.params.ruleId, userId: req.userId });
+};
+
+const notFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Scoring rule not found'
+  });
+};
+
+// Tournaments and links (bundles included, whose matchId members inherit it) scored by a rule
+const findRuleUsers = async (ruleId) => {
+  const [tournaments, links] = await Promise.all([
+    Tournament.find({ scoringRuleId: ruleId }).select('_id').lean(),
+    ApiLink.find({ scoringRuleId: ruleId }).lean()
+  ]);
+  return { tournaments, links };
+};
+
+// Push recomputed points to streams of the tournaments and links scored by a rule
+const notifyRuleUsers = async ({ tournaments, links }) => {
+  tournaments.forEach(tournament => notifyTournamentChange(tournament._id));
+  await Promise.all(links.map(link => notifyLinkChange(link)));
+};
+
+/**
+ * @swagger
+ * /api/scoringrules:
+ *   post:
+ *     summary: Create scoring rule
+ *     description: |
+ *       Define placement points, kill points, caps and bonuses. Attach the rule to an API link
+ *       or tournament (scoringRuleId) to serve points recomputed from each team's placement and kills.
+ *     tags: [ScoringRules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScoringRule'
+ *           example:
+ *             name: "Pro League"
+ *             placementPoints: [15, 12, 10, 8, 6, 4, 2, 1, 1, 1]
+ *             killPoints: 1
+ *             maxKillPoints: 20
+ *             bonuses:
+ *               - label: "Most kills"
+ *                 condition: most_kills
+ *                 points: 2
+ *     responses:
+ *       201:
+ *         description: Scoring rule created
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// POST /api/scoringrules - Create scoring rule
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const scoringRule = await ScoringRule.create({
+      ...pickRuleFields(req.body),
+      userId: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: scoringRule
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error creating scoring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scoringrules:
+ *   get:
+ *     summary: Get user's scoring rules
+ *     tags: [ScoringRules]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of scoring rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScoringRule'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// GET /api/scoringrules - Get user's scoring rules
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const scoringRules = await ScoringRule.find({ userId: req.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: scoringRules.length,
+      data: scoringRules
+    });
+
+  } catch (error) {
+    console.error('Error fetching scoring rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scoringrules/{ruleId}/preview:
+ *   get:
+ *     summary: Preview a scoring rule on a match
+ *     description: The pointsTable of a match's latest snapshot recomputed with the rule, to check it before attaching it
+ *     tags: [ScoringRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recomputed points table
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     pointsTable:
+ *                       type: array
+ *                       description: |
+ *                         Team rows ranked by points, then placement, then kills. Each row has
+ *                         rank, placement, kills, placementPoints, killPoints, bonusPoints and points.
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Match ID is required
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Scoring rule or match not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/scoringrules/:ruleId/preview - Preview a scoring rule on a match
+router.get('/:ruleId/preview', authenticateToken, async (req, res) => {
+  try {
+    const matchId = typeof req.query.matchId === 'string' ? req.query.matchId.trim() : '';
+    if (!matchId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match ID is required'
+      });
+    }
+
+    const scoringRule = await findOwnRule(req);
+    if (!scoringRule) {
+      return notFound(res);
+    }
+
+    const snapshot = (await matchExists(matchId)) ? await getLatestSnapshot(matchId) : null;
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const rescored = applyScoringRule(snapshot, scoringRule.toObject());
+
+    res.json({
+      success: true,
+      matchId,
+      timestamp: snapshot.timestamp,
+      data: {
+        pointsTable: rescored.pointsTable || []
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing scoring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scoringrules/{ruleId}:
+ *   patch:
+ *     summary: Update scoring rule
+ *     description: Links and tournaments using the rule serve the new points straight away
+ *     tags: [ScoringRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScoringRule'
+ *     responses:
+ *       200:
+ *         description: Scoring rule updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Scoring rule not found
+ *       500:
+ *         description: Server error
+ */
+// PATCH /api/scoringrules/:ruleId - Update scoring rule
+router.patch('/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const scoringRule = await findOwnRule(req);
+    if (!scoringRule) {
+      return notFound(res);
+    }
+
+    Object.assign(scoringRule, pickRuleFields(req.body));
+    await scoringRule.save();
+    await notifyRuleUsers(await findRuleUsers(scoringRule._id));
+
+    res.json({
+      success: true,
+      data: scoringRule,
+      message: 'Scoring rule updated successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error updating scoring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scoringrules/{ruleId}:
+ *   delete:
+ *     summary: Delete scoring rule
+ *     description: Links and tournaments using the rule go back to the feed's own points
+ *     tags: [ScoringRules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ruleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scoring rule deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Scoring rule not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/scoringrules/:ruleId - Delete scoring rule
+router.delete('/:ruleId', authenticateToken, async (req, res) => {
+  try {
+    const scoringRule = await findOwnRule(req);
+    if (!scoringRule) {
+      return notFound(res);
+    }
+
+    // Find the tournaments and links before detaching the rule so their streams can be told
+    const ruleUsers = await findRuleUsers(scoringRule._id);
+
+    await ScoringRule.findByIdAndDelete(scoringRule._id);
+    await ApiLink.updateMany({ scoringRuleId: scoringRule._id }, { scoringRuleId: null });
+    await Tournament.updateMany({ scoringRuleId: scoringRule._id }, { scoringRuleId: null });
+    await notifyRuleUsers(ruleUsers);
+
+    res.json({
+      success: true,
+      message: 'Scoring rule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting scoring rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+module.exports = router;
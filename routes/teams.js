@@ -0,0 +1,430 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Team = require('../models/Team');
+const { authenticateToken } = require('../middleware/auth');
+const { matchExists, getLatestSnapshot } = require('../utils/matchData');
+const {
+  BRANDING_FIELDS,
+  loadBranding,
+  invalidateBranding,
+  findUnknownTeams
+} = require('../utils/branding');
+
+// Team keys are unique per user regardless of case
+const KEY_COLLATION = { locale: 'en', strength: 2 };
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Team:
+ *       type: object
+ *       required:
+ *         - teamKey
+ *       properties:
+ *         _id:
+ *           type: string
+ *         teamKey:
+ *           type: string
+ *           description: In-game team name or ID the branding applies to (case-insensitive)
+ *         name:
+ *           type: string
+ *           description: Display name
+ *         tag:
+ *           type: string
+ *           maxLength: 10
+ *         logoUrl:
+ *           type: string
+ *         primaryColor:
+ *           type: string
+ *           example: "#FF8800"
+ *         secondaryColor:
+ *           type: string
+ *           example: "#000000"
+ *         sponsor:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Branding fields present in a request body. null clears a field.
+const pickBrandingFields = (body) => {
+  const fields = {};
+  BRANDING_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+  return fields;
+};
+
+const validationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: messages.join(', ')
+  });
+};
+
+const findOwnTeam = (req) => {
+  if (!mongoose.isValidObjectId(req.params.teamId)) return null;
+  return Team.findOne({ _id: req.params.teamId, userId: req.userId });
+};
+
+/**
+ * @swagger
+ * /api/teams:
+ *   post:
+ *     summary: Create team branding
+ *     description: Register logo, tag, colors and sponsor for an in-game team name or ID
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Team'
+ *           example:
+ *             teamKey: "Team A"
+ *             name: "Alpha Esports"
+ *             tag: "ALP"
+ *             logoUrl: "https://cdn.example.com/alpha.png"
+ *             primaryColor: "#FF8800"
+ *             sponsor: "Energy Drink Co"
+ *     responses:
+ *       201:
+ *         description: Team created
+ *       400:
+ *         description: Validation error or team already exists
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// POST /api/teams - Create team branding
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const teamKey = typeof req.body.teamKey === 'string' ? req.body.teamKey.trim() : '';
+    if (!teamKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'Team key is required'
+      });
+    }
+
+    const existingTeam = await Team.findOne({ userId: req.userId, teamKey }).collation(KEY_COLLATION);
+    if (existingTeam) {
+      return res.status(400).json({
+        success: false,
+        error: 'Team already exists'
+      });
+    }
+
+    const team = await Team.create({
+      userId: req.userId,
+      teamKey,
+      ...pickBrandingFields(req.body)
+    });
+    invalidateBranding(req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: team
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error creating team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams:
+ *   get:
+ *     summary: Get user's teams
+ *     description: List the team branding created by the authenticated user
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of teams
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Team'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// GET /api/teams - Get user's teams
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const teams = await Team.find({ userId: req.userId }).sort({ teamKey: 1 });
+
+    res.json({
+      success: true,
+      count: teams.length,
+      data: teams
+    });
+
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/unknown:
+ *   get:
+ *     summary: List unbranded teams in a match
+ *     description: Teams in the latest snapshot of a match that have no branding yet, so they can be filled in before air
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unbranded teams
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 matchId:
+ *                   type: string
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       teamKey:
+ *                         type: string
+ *                       teamName:
+ *                         type: string
+ *                         nullable: true
+ *       400:
+ *         description: Match ID is required
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Match not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/teams/unknown - List teams in a match without branding
+router.get('/unknown', authenticateToken, async (req, res) => {
+  try {
+    const matchId = typeof req.query.matchId === 'string' ? req.query.matchId.trim() : '';
+    if (!matchId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match ID is required'
+      });
+    }
+
+    const snapshot = (await matchExists(matchId)) ? await getLatestSnapshot(matchId) : null;
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match not found'
+      });
+    }
+
+    const unknownTeams = findUnknownTeams(snapshot, await loadBranding(req.userId));
+
+    res.json({
+      success: true,
+      matchId,
+      count: unknownTeams.length,
+      data: unknownTeams
+    });
+
+  } catch (error) {
+    console.error('Error finding unknown teams:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{teamId}:
+ *   patch:
+ *     summary: Update team branding
+ *     description: Update any branding field; send null to clear one
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Team'
+ *     responses:
+ *       200:
+ *         description: Team updated
+ *       400:
+ *         description: Validation error or team already exists
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Team not found
+ *       500:
+ *         description: Server error
+ */
+// PATCH /api/teams/:teamId - Update team branding
+router.patch('/:teamId', authenticateToken, async (req, res) => {
+  try {
+    const team = await findOwnTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    if (req.body.teamKey !== undefined) {
+      const teamKey = typeof req.body.teamKey === 'string' ? req.body.teamKey.trim() : '';
+      if (!teamKey) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team key is required'
+        });
+      }
+
+      const existingTeam = await Team.findOne({
+        userId: req.userId,
+        teamKey,
+        _id: { $ne: team._id }
+      }).collation(KEY_COLLATION);
+      if (existingTeam) {
+        return res.status(400).json({
+          success: false,
+          error: 'Team already exists'
+        });
+      }
+      team.teamKey = teamKey;
+    }
+
+    Object.assign(team, pickBrandingFields(req.body));
+    await team.save();
+    invalidateBranding(req.userId);
+
+    res.json({
+      success: true,
+      data: team,
+      message: 'Team updated successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error updating team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/teams/{teamId}:
+ *   delete:
+ *     summary: Delete team branding
+ *     tags: [Teams]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teamId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Team deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Team not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/teams/:teamId - Delete team branding
+router.delete('/:teamId', authenticateToken, async (req, res) => {
+  try {
+    const team = await findOwnTeam(req);
+    if (!team) {
+      return res.status(404).json({
+        success: false,
+        error: 'Team not found'
+      });
+    }
+
+    await Team.findByIdAndDelete(team._id);
+    invalidateBranding(req.userId);
+
+    res.json({
+      success: true,
+      message: 'Team deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+module.exports = router;
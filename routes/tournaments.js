@@ -0,0 +1,858 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Tournament = require('../models/Tournament');
+const { authenticateToken } = require('../middleware/auth');
+const { matchExists } = require('../utils/matchData');
+const {
+  resolveTournamentTable,
+  resolveTournamentPlayers,
+  notifyTournamentChange
+} = require('../utils/tournaments');
+const { rankPlayers, parsePlayerQuery } = require('../utils/players');
+const { resolveScoringRuleId } = require('../utils/scoring');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tournament:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         matchIds:
+ *           type: array
+ *           description: Matches in play order
+ *           items:
+ *             type: string
+ *         tiebreakers:
+ *           type: array
+ *           description: Standings order, applied in turn until teams differ
+ *           items:
+ *             type: string
+ *             enum: [points, wins, kills, best_rank, avg_rank, last_match_rank]
+ *           default: [points, wins, kills, last_match_rank]
+ *         scoringRuleId:
+ *           type: string
+ *           nullable: true
+ *           description: Scoring rule used to recompute each match's points (see /api/scoringrules)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     TournamentStanding:
+ *       type: object
+ *       properties:
+ *         rank:
+ *           type: integer
+ *         teamKey:
+ *           type: string
+ *         teamName:
+ *           type: string
+ *         points:
+ *           type: number
+ *         kills:
+ *           type: number
+ *         wins:
+ *           type: integer
+ *         matchesPlayed:
+ *           type: integer
+ *         bestRank:
+ *           type: integer
+ *           nullable: true
+ *         avgRank:
+ *           type: number
+ *           nullable: true
+ *         lastMatchRank:
+ *           type: integer
+ *           nullable: true
+ *         matches:
+ *           type: array
+ *           description: Result in each tournament match, in order (nulls when the team did not appear)
+ *           items:
+ *             type: object
+ *             properties:
+ *               matchId:
+ *                 type: string
+ *               rank:
+ *                 type: integer
+ *                 nullable: true
+ *               points:
+ *                 type: number
+ *                 nullable: true
+ *               kills:
+ *                 type: number
+ *                 nullable: true
+ */
+
+// Validate a list of match IDs. Returns { matchIds } trimmed, or { error }.
+const parseMatchIds = (value) => {
+  if (!Array.isArray(value) || value.some(matchId => typeof matchId !== 'string' || !matchId.trim())) {
+    return { error: 'matchIds must be an array of match IDs' };
+  }
+
+  const matchIds = value.map(matchId => matchId.trim());
+  if (new Set(matchIds).size !== matchIds.length) {
+    return { error: 'matchIds cannot contain the same match twice' };
+  }
+  return { matchIds };
+};
+
+// Validate a tiebreaker list. Returns { tiebreakers } or { error }.
+const parseTiebreakers = (value) => {
+  const valid = Array.isArray(value) && value.length > 0 &&
+    value.every(tiebreaker => Tournament.TIEBREAKERS.includes(tiebreaker)) &&
+    new Set(value).size === value.length;
+
+  if (!valid) {
+    return { error: `tiebreakers must list distinct values from: ${Tournament.TIEBREAKERS.join(', ')}` };
+  }
+  return { tiebreakers: value };
+};
+
+// Matches in the list that have no data yet
+const findMissingMatches = async (matchIds) => {
+  const exists = await Promise.all(matchIds.map(matchId => matchExists(matchId)));
+  return matchIds.filter((matchId, index) => !exists[index]);
+};
+
+// Error for matches without data unless the request sets allowPending
+const checkMatches = async (req, matchIds) => {
+  if (req.body.allowPending === true) return null;
+
+  const missing = await findMissingMatches(matchIds);
+  if (!missing.length) return null;
+  return `Match not found: ${missing.join(', ')}. Set allowPending to true to add matches that have not started yet`;
+};
+
+const findOwnTournament = (req) => {
+  if (!mongoose.isValidObjectId(req.params.tournamentId)) return null;
+  return Tournament.findOne({ _id: req.params.tournamentId, userId: req.userId });
+};
+
+const validationError = (res, error) => {
+  const messages = Object.values(error.errors).map(err => err.message);
+  return res.status(400).json({
+    success: false,
+    error: messages.join(', ')
+  });
+};
+
+const notFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Tournament not found'
+  });
+};
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   post:
+ *     summary: Create tournament
+ *     description: Group matches into a tournament with cumulative standings
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               matchIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               tiebreakers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scoringRuleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Recompute match points with one of your scoring rules (null to use the feed's points)
+ *               allowPending:
+ *                 type: boolean
+ *                 description: Allow matches that have no data yet
+ *           example:
+ *             name: "Day 1 Finals"
+ *             matchIds: ["match-1", "match-2"]
+ *             tiebreakers: ["points", "wins", "kills", "last_match_rank"]
+ *     responses:
+ *       201:
+ *         description: Tournament created
+ *       400:
+ *         description: Validation error, match not found or scoring rule not found
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// POST /api/tournaments - Create tournament
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const fields = { userId: req.userId, name: req.body.name };
+
+    if (req.body.matchIds !== undefined) {
+      const { matchIds, error } = parseMatchIds(req.body.matchIds);
+      const matchError = error || await checkMatches(req, matchIds);
+      if (matchError) {
+        return res.status(400).json({
+          success: false,
+          error: matchError
+        });
+      }
+      fields.matchIds = matchIds;
+    }
+
+    if (req.body.tiebreakers !== undefined) {
+      const { tiebreakers, error } = parseTiebreakers(req.body.tiebreakers);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      fields.tiebreakers = tiebreakers;
+    }
+
+    if (req.body.scoringRuleId !== undefined) {
+      const { scoringRuleId, error } = await resolveScoringRuleId(req.userId, req.body.scoringRuleId);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      fields.scoringRuleId = scoringRuleId;
+    }
+
+    const tournament = await Tournament.create(fields);
+
+    res.status(201).json({
+      success: true,
+      data: tournament
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error creating tournament:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments:
+ *   get:
+ *     summary: Get user's tournaments
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of tournaments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tournament'
+ *       401:
+ *         description: Unauthorized
+ *       500:
+ *         description: Server error
+ */
+// GET /api/tournaments - Get user's tournaments
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const tournaments = await Tournament.find({ userId: req.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: tournaments.length,
+      data: tournaments
+    });
+
+  } catch (error) {
+    console.error('Error fetching tournaments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/standings:
+ *   get:
+ *     summary: Get tournament standings
+ *     description: |
+ *       Cumulative table summed from the latest snapshot of every match in the tournament,
+ *       ordered by the tournament's tiebreakers, with a per-match breakdown for each team.
+ *       Serve it to overlays with a tournament_table API link.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Standings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tournamentId:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Time of the newest snapshot used
+ *                 overridden:
+ *                   type: boolean
+ *                   description: Whether operator overrides changed any match's data
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tournament:
+ *                       $ref: '#/components/schemas/Tournament'
+ *                     matches:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           matchId:
+ *                             type: string
+ *                           available:
+ *                             type: boolean
+ *                           snapshotId:
+ *                             type: string
+ *                             nullable: true
+ *                           timestamp:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
+ *                     standings:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TournamentStanding'
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/tournaments/:tournamentId/standings - Get tournament standings
+router.get('/:tournamentId/standings', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await findOwnTournament(req);
+    if (!tournament) {
+      return notFound(res);
+    }
+
+    const table = await resolveTournamentTable(tournament);
+
+    res.json({
+      success: true,
+      tournamentId: tournament._id,
+      timestamp: table.timestamp,
+      overridden: table.overridden,
+      data: {
+        tournament: table.tournament,
+        matches: table.matches,
+        standings: table.standings
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tournament standings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/players:
+ *   get:
+ *     summary: Get tournament player leaderboard
+ *     description: |
+ *       Player kills, damage and knocks summed over every match in the tournament, highest
+ *       first. Players are matched by team and name. Serve it to overlays with a
+ *       player_leaderboard API link that has a tournamentId.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sortBy
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [kills, damage, knocks]
+ *           default: kills
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Player leaderboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 tournamentId:
+ *                   type: string
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 overridden:
+ *                   type: boolean
+ *                   description: Whether operator overrides changed any match's data
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     players:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PlayerStats'
+ *       400:
+ *         description: Invalid sortBy or limit
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       500:
+ *         description: Server error
+ */
+// GET /api/tournaments/:tournamentId/players - Get tournament player leaderboard
+router.get('/:tournamentId/players', authenticateToken, async (req, res) => {
+  try {
+    const { sortBy, limit, error } = parsePlayerQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const tournament = await findOwnTournament(req);
+    if (!tournament) {
+      return notFound(res);
+    }
+
+    const { players, timestamp, overridden } = await resolveTournamentPlayers(tournament);
+
+    res.json({
+      success: true,
+      tournamentId: tournament._id,
+      timestamp,
+      overridden,
+      data: {
+        players: rankPlayers(players, { sortBy, limit })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching tournament players:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}:
+ *   patch:
+ *     summary: Update tournament
+ *     description: Rename the tournament, replace its match list or change its tiebreakers or scoring rule
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               matchIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               tiebreakers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               scoringRuleId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Recompute match points with one of your scoring rules (null to use the feed's points)
+ *               allowPending:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tournament updated
+ *       400:
+ *         description: Validation error, match not found or scoring rule not found
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       500:
+ *         description: Server error
+ */
+// PATCH /api/tournaments/:tournamentId - Update tournament
+router.patch('/:tournamentId', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await findOwnTournament(req);
+    if (!tournament) {
+      return notFound(res);
+    }
+
+    if (req.body.name !== undefined) {
+      tournament.name = req.body.name;
+    }
+
+    if (req.body.matchIds !== undefined) {
+      const { matchIds, error } = parseMatchIds(req.body.matchIds);
+
+      // Matches already in the tournament stay allowed while pending
+      const added = error ? [] : matchIds.filter(matchId => !tournament.matchIds.includes(matchId));
+      const matchError = error || await checkMatches(req, added);
+      if (matchError) {
+        return res.status(400).json({
+          success: false,
+          error: matchError
+        });
+      }
+      tournament.matchIds = matchIds;
+    }
+
+    if (req.body.tiebreakers !== undefined) {
+      const { tiebreakers, error } = parseTiebreakers(req.body.tiebreakers);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      tournament.tiebreakers = tiebreakers;
+    }
+
+    if (req.body.scoringRuleId !== undefined) {
+      const { scoringRuleId, error } = await resolveScoringRuleId(req.userId, req.body.scoringRuleId);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+      tournament.scoringRuleId = scoringRuleId;
+    }
+
+    await tournament.save();
+    notifyTournamentChange(tournament._id);
+
+    res.json({
+      success: true,
+      data: tournament,
+      message: 'Tournament updated successfully'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error updating tournament:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/matches:
+ *   post:
+ *     summary: Add a match to a tournament
+ *     description: Add a match at the end of the tournament (or at `position`). Standings and tournament_table links update immediately.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - matchId
+ *             properties:
+ *               matchId:
+ *                 type: string
+ *               position:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 1-based position in the match order (defaults to last)
+ *               allowPending:
+ *                 type: boolean
+ *                 description: Allow a match that has no data yet
+ *     responses:
+ *       200:
+ *         description: Match added
+ *       400:
+ *         description: Validation error, duplicate or match not found
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       500:
+ *         description: Server error
+ */
+// POST /api/tournaments/:tournamentId/matches - Add a match to a tournament
+router.post('/:tournamentId/matches', authenticateToken, async (req, res) => {
+  try {
+    const matchId = typeof req.body.matchId === 'string' ? req.body.matchId.trim() : '';
+    if (!matchId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match ID is required'
+      });
+    }
+
+    const { position } = req.body;
+    if (position !== undefined && (!Number.isInteger(position) || position < 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'position must be a positive integer'
+      });
+    }
+
+    const tournament = await findOwnTournament(req);
+    if (!tournament) {
+      return notFound(res);
+    }
+
+    if (tournament.matchIds.includes(matchId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Match is already in the tournament'
+      });
+    }
+
+    const matchError = await checkMatches(req, [matchId]);
+    if (matchError) {
+      return res.status(400).json({
+        success: false,
+        error: matchError
+      });
+    }
+
+    const matchIds = [...tournament.matchIds];
+    matchIds.splice(position === undefined ? matchIds.length : position - 1, 0, matchId);
+    tournament.matchIds = matchIds;
+    await tournament.save();
+    notifyTournamentChange(tournament._id);
+
+    res.json({
+      success: true,
+      data: tournament,
+      message: 'Match added to tournament'
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return validationError(res, error);
+    }
+    console.error('Error adding tournament match:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}/matches/{matchId}:
+ *   delete:
+ *     summary: Remove a match from a tournament
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: matchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Match removed
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament or match not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/tournaments/:tournamentId/matches/:matchId - Remove a match from a tournament
+router.delete('/:tournamentId/matches/:matchId', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await findOwnTournament(req);
+    if (!tournament) {
+      return notFound(res);
+    }
+
+    const matchId = req.params.matchId.trim();
+    if (!tournament.matchIds.includes(matchId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Match is not in the tournament'
+      });
+    }
+
+    tournament.matchIds = tournament.matchIds.filter(id => id !== matchId);
+    await tournament.save();
+    notifyTournamentChange(tournament._id);
+
+    res.json({
+      success: true,
+      data: tournament,
+      message: 'Match removed from tournament'
+    });
+
+  } catch (error) {
+    console.error('Error removing tournament match:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tournaments/{tournamentId}:
+ *   delete:
+ *     summary: Delete tournament
+ *     description: Delete a tournament. Its tournament_table links will return 404 until pointed at another tournament.
+ *     tags: [Tournaments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tournamentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tournament deleted
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tournament not found
+ *       500:
+ *         description: Server error
+ */
+// DELETE /api/tournaments/:tournamentId - Delete tournament
+router.delete('/:tournamentId', authenticateToken, async (req, res) => {
+  try {
+    const tournament = await findOwnTournament(req);
+    if (!tournament) {
+      return notFound(res);
+    }
+
+    await Tournament.findByIdAndDelete(tournament._id);
+    notifyTournamentChange(tournament._id);
+
+    res.json({
+      success: true,
+      message: 'Tournament deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting tournament:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error'
+    });
+  }
+});
+
+module.exports = router;
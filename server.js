@@ -0,0 +1,14 @@
+const http = require('http');
+const app = require('./api/index');
+const { attachWebSocketServer } = require('./utils/websocket');
+
+const PORT = process.env.PORT || 3000;
+
+// Standalone server: the Express app plus the live update WebSocket endpoint.
+// Serverless deployments (Vercel) use api/index.js directly and have no WebSocket.
+const server = http.createServer(app);
+attachWebSocketServer(server, { trustProxy: app.get('trust proxy fn') });
+
+server.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+});
@@ -0,0 +1,242 @@
+const AccessLog = require('../models/AccessLog');
+const ApiLink = require('../models/ApiLink');
+const { parseTimestamp } = require('./queryParams');
+
+// Hits are buffered and written in batches, at most this long after they happen
+// or as soon as this many are waiting
+const FLUSH_INTERVAL_MS = parseInt(process.env.ACCESS_LOG_FLUSH_MS, 10) || 5000;
+const BATCH_SIZE = parseInt(process.env.ACCESS_LOG_BATCH_SIZE, 10) || 500;
+
+// Serverless instances (Vercel) can be frozen or recycled once a response is
+// sent, so there each HTTP hit is written before its response ends
+const WRITE_THROUGH = !!process.env.VERCEL;
+
+const USER_AGENT_MAX_LENGTH = 256;
+
+const MINUTE_MS = 60 * 1000;
+const ANALYTICS_DEFAULT_RANGE_MS = 60 * MINUTE_MS;
+const ANALYTICS_MAX_RANGE_MS = 24 * 60 * MINUTE_MS;
+const ANALYTICS_MAX_CLIENTS = 100;
+
+let buffer = [];
+let flushTimer = null;
+
+// Hits counted in a link's accessCount: data served, or unchanged since the client's ETag
+const isServed = (status) => status < 400;
+
+// accessCount / lastAccessed updates for the links that served hits in `entries`
+const counterUpdates = (entries) => {
+  const counters = new Map();
+
+  entries.filter(entry => isServed(entry.status)).forEach(entry => {
+    const counter = counters.get(entry.linkId) || { count: 0, lastAccessed: entry.timestamp };
+    counter.count += 1;
+    if (entry.timestamp > counter.lastAccessed) counter.lastAccessed = entry.timestamp;
+    counters.set(entry.linkId, counter);
+  });
+
+  return [...counters].map(([linkId, counter]) => ({
+    updateOne: {
+      filter: { linkId },
+      update: {
+        $inc: { accessCount: counter.count },
+        $max: { lastAccessed: counter.lastAccessed }
+      }
+    }
+  }));
+};
+
+// Write buffered hits and the link counters they add up to
+const flushAccessLog = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!buffer.length) return;
+
+  const entries = buffer;
+  buffer = [];
+
+  try {
+    const updates = counterUpdates(entries);
+    await Promise.all([
+      AccessLog.insertMany(entries, { ordered: false }),
+      updates.length ? ApiLink.bulkWrite(updates, { ordered: false }) : null
+    ]);
+  } catch (error) {
+    // Analytics are best effort: a failed batch is dropped rather than retried
+    console.error('Error writing access log:', error.message);
+  }
+};
+
+// Buffer one request to a public link: { linkId, ip, userAgent, status, transport }
+const recordAccess = ({ linkId, ip, userAgent, status, transport = 'http', timestamp = new Date() }) => {
+  buffer.push({
+    linkId,
+    timestamp,
+    ip: ip || null,
+    userAgent: userAgent ? String(userAgent).slice(0, USER_AGENT_MAX_LENGTH) : null,
+    status,
+    transport
+  });
+
+  if (buffer.length >= BATCH_SIZE) {
+    flushAccessLog();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushAccessLog, FLUSH_INTERVAL_MS);
+    flushTimer.unref();
+  }
+};
+
+// Mark a response as answering a link that exists; trackAccess only logs
+// those, so requests for made-up link IDs cannot fill the log
+const markLinkFound = (res) => {
+  res.locals.linkFound = true;
+};
+
+// Express middleware logging each request to a /:linkId route with the
+// status it was answered with (streams are logged when they close)
+const trackAccess = (transport) => (req, res, next) => {
+  const timestamp = new Date();
+  let recorded = false;
+
+  const record = () => {
+    if (recorded || !res.locals.linkFound) return;
+    recorded = true;
+    recordAccess({
+      linkId: req.params.linkId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      status: res.statusCode,
+      transport,
+      timestamp
+    });
+  };
+
+  if (WRITE_THROUGH) {
+    // Hold the end of the response until the hit is written
+    const end = res.end;
+    res.end = (...args) => {
+      res.end = end;
+      record();
+      flushAccessLog().finally(() => end.apply(res, args));
+      return res;
+    };
+  }
+
+  // Requests whose client went away before a response are logged when they close
+  res.once('close', record);
+  next();
+};
+
+// Read ?from= and ?to= (ISO dates or epoch milliseconds) for analytics.
+// Defaults to the last hour. Returns { from, to } or { error }.
+const parseAnalyticsRange = (query) => {
+  let to = parseTimestamp(query.to);
+  let from = parseTimestamp(query.from);
+  if (from === null || to === null) {
+    return { error: 'from and to must be ISO dates or epoch milliseconds' };
+  }
+
+  to = to || new Date();
+  from = from || new Date(to.getTime() - ANALYTICS_DEFAULT_RANGE_MS);
+  if (from >= to) {
+    return { error: 'from must be before to' };
+  }
+  if (to - from > ANALYTICS_MAX_RANGE_MS) {
+    return { error: 'Time range cannot exceed 24 hours' };
+  }
+  return { from, to };
+};
+
+const errorRate = (errors, hits) => (hits ? Math.round((errors / hits) * 10000) / 10000 : 0);
+
+// Start of the minute a hit happened in, as an ISO string ($dateTrunc needs MongoDB 5.0)
+const MINUTE_BUCKET = { $dateToString: { date: '$timestamp', format: '%Y-%m-%dT%H:%M:00.000Z' } };
+
+// Hits, errors and distinct clients (IP and user agent) per group
+const hitStats = (groupId) => ({
+  $group: {
+    _id: groupId,
+    hits: { $sum: 1 },
+    errors: { $sum: { $cond: [{ $gte: ['$status', 400] }, 1, 0] } },
+    clients: { $addToSet: { ip: '$ip', userAgent: '$userAgent' } }
+  }
+});
+
+// Access analytics for a link between `from` and `to`: totals, hits per
+// status, a per-minute series (minutes without hits included) and the
+// clients seen, most active first
+const linkAnalytics = async (linkId, from, to) => {
+  // Include hits still waiting in the buffer
+  await flushAccessLog();
+
+  const [result] = await AccessLog.aggregate([
+    { $match: { linkId, timestamp: { $gte: from, $lt: to } } },
+    {
+      $facet: {
+        totals: [hitStats(null)],
+        statuses: [{ $group: { _id: '$status', hits: { $sum: 1 } } }, { $sort: { _id: 1 } }],
+        series: [hitStats(MINUTE_BUCKET)],
+        clients: [
+          {
+            $group: {
+              _id: { ip: '$ip', userAgent: '$userAgent' },
+              hits: { $sum: 1 },
+              errors: { $sum: { $cond: [{ $gte: ['$status', 400] }, 1, 0] } },
+              firstSeen: { $min: '$timestamp' },
+              lastSeen: { $max: '$timestamp' }
+            }
+          },
+          { $sort: { hits: -1, lastSeen: -1 } },
+          { $limit: ANALYTICS_MAX_CLIENTS }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { hits: 0, errors: 0, clients: [] };
+  const minutes = new Map(result.series.map(bucket => [new Date(bucket._id).getTime(), bucket]));
+
+  const series = [];
+  for (let minute = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS; minute < to.getTime(); minute += MINUTE_MS) {
+    const bucket = minutes.get(minute) || { hits: 0, errors: 0, clients: [] };
+    series.push({
+      minute: new Date(minute),
+      hits: bucket.hits,
+      errors: bucket.errors,
+      errorRate: errorRate(bucket.errors, bucket.hits),
+      uniqueClients: bucket.clients.length
+    });
+  }
+
+  return {
+    linkId,
+    from,
+    to,
+    totals: {
+      hits: totals.hits,
+      errors: totals.errors,
+      errorRate: errorRate(totals.errors, totals.hits),
+      uniqueClients: totals.clients.length
+    },
+    statuses: Object.fromEntries(result.statuses.map(status => [status._id, status.hits])),
+    series,
+    clients: result.clients.map(({ _id, hits, errors, firstSeen, lastSeen }) => ({
+      ip: _id.ip,
+      userAgent: _id.userAgent,
+      hits,
+      errors,
+      errorRate: errorRate(errors, hits),
+      firstSeen,
+      lastSeen
+    }))
+  };
+};
+
+module.exports = {
+  recordAccess,
+  flushAccessLog,
+  markLinkFound,
+  trackAccess,
+  parseAnalyticsRange,
+  linkAnalytics
+};
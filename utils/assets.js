@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+// Uploaded logos and sponsor images live in GridFS so they work on serverless
+// deployments without a disk: assets.files holds metadata, assets.chunks the bytes
+const BUCKET_NAME = 'assets';
+
+const MAX_ASSET_BYTES = parseInt(process.env.ASSET_MAX_BYTES, 10) || 2 * 1024 * 1024;
+
+const ASSET_KINDS = ['logo', 'sponsor', 'other'];
+
+// Accepted images, recognised by their leading bytes rather than the
+// Content-Type the client claims. SVG is left out because it can carry script.
+const IMAGE_TYPES = [
+  {
+    contentType: 'image/png',
+    extension: 'png',
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  {
+    contentType: 'image/jpeg',
+    extension: 'jpg',
+    matches: (buffer) => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff
+  },
+  {
+    contentType: 'image/gif',
+    extension: 'gif',
+    matches: (buffer) => ['GIF87a', 'GIF89a'].includes(buffer.toString('latin1', 0, 6))
+  },
+  {
+    contentType: 'image/webp',
+    extension: 'webp',
+    matches: (buffer) => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP'
+  }
+];
+
+const getBucket = () => {
+  return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: BUCKET_NAME });
+};
+
+// Image type of an uploaded buffer, or null when it is not an accepted image
+const detectImageType = (buffer) => {
+  return IMAGE_TYPES.find(type => type.matches(buffer)) || null;
+};
+
+const toObjectId = (assetId) => {
+  return mongoose.isValidObjectId(assetId) ? new mongoose.Types.ObjectId(String(assetId)) : null;
+};
+
+// Stable public path of an asset; the extension helps tools that sniff by file name
+const getAssetPath = (file) => `/api/assets/${file.filename}`;
+
+// API view of a GridFS file document
+const toAssetJSON = (file) => {
+  return {
+    _id: file._id,
+    kind: file.metadata.kind,
+    originalName: file.metadata.originalName,
+    contentType: file.metadata.contentType,
+    size: file.length,
+    uploadDate: file.uploadDate,
+    path: getAssetPath(file)
+  };
+};
+
+// Store an image for a user. `imageType` comes from detectImageType.
+const saveAsset = async (userId, buffer, imageType, { kind, originalName }) => {
+  const _id = new mongoose.Types.ObjectId();
+  const filename = `${_id}.${imageType.extension}`;
+  const metadata = {
+    userId: new mongoose.Types.ObjectId(String(userId)),
+    kind,
+    originalName: originalName || null,
+    contentType: imageType.contentType
+  };
+
+  const upload = getBucket().openUploadStreamWithId(_id, filename, { metadata });
+  await new Promise((resolve, reject) => {
+    upload.once('finish', resolve);
+    upload.once('error', reject);
+    upload.end(buffer);
+  });
+
+  return {
+    _id,
+    filename,
+    length: buffer.length,
+    uploadDate: new Date(),
+    metadata
+  };
+};
+
+// GridFS file document for an asset (null when not found)
+const findAsset = async (assetId) => {
+  const _id = toObjectId(assetId);
+  if (!_id) return null;
+
+  const [file] = await getBucket().find({ _id }).limit(1).toArray();
+  return file || null;
+};
+
+const listUserAssets = async (userId) => {
+  return getBucket()
+    .find({ 'metadata.userId': new mongoose.Types.ObjectId(String(userId)) })
+    .sort({ uploadDate: -1 })
+    .toArray();
+};
+
+const openAssetStream = (file) => getBucket().openDownloadStream(file._id);
+
+const deleteAsset = async (file) => {
+  await getBucket().delete(file._id);
+};
+
+// Remove every asset a user uploaded, e.g. when their account is deleted
+const deleteUserAssets = async (userId) => {
+  const files = await listUserAssets(userId);
+  for (const file of files) {
+    await deleteAsset(file);
+  }
+  return files.length;
+};
+
+module.exports = {
+  MAX_ASSET_BYTES,
+  ASSET_KINDS,
+  IMAGE_TYPES,
+  detectImageType,
+  toAssetJSON,
+  saveAsset,
+  findAsset,
+  listUserAssets,
+  openAssetStream,
+  deleteAsset,
+  deleteUserAssets
+};
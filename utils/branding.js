@@ -0,0 +1,87 @@
+const Team = require('../models/Team');
+const { getTeamKey, getTeamName } = require('./teamFields');
+
+// Fields copied into the `branding` object of enriched team rows
+const BRANDING_FIELDS = ['name', 'tag', 'logoUrl', 'primaryColor', 'secondaryColor', 'sponsor'];
+
+// How long a user's branding is reused by public links
+const BRANDING_TTL_MS = parseInt(process.env.BRANDING_CACHE_TTL_MS, 10) || 5000;
+
+// userId -> { branding, expiresAt }
+const cache = new Map();
+
+const normalizeKey = (key) => String(key).trim().toLowerCase();
+
+// Load a user's team branding as { teams, version }. `teams` maps lower-cased
+// team keys to branding objects; `version` changes whenever a team is edited.
+const loadBranding = async (userId) => {
+  const key = String(userId);
+  const cached = cache.get(key);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.branding;
+  }
+
+  const teams = await Team.find({ userId }).lean();
+  const branding = {
+    teams: new Map(),
+    version: `${teams.length}:${Math.max(0, ...teams.map(team => new Date(team.updatedAt).getTime()))}`
+  };
+
+  teams.forEach(team => {
+    const fields = {};
+    BRANDING_FIELDS.forEach(field => {
+      fields[field] = team[field] === undefined ? null : team[field];
+    });
+    branding.teams.set(normalizeKey(team.teamKey), fields);
+  });
+
+  cache.set(key, { branding, expiresAt: Date.now() + BRANDING_TTL_MS });
+  return branding;
+};
+
+// Drop a user's cached branding after their teams change
+const invalidateBranding = (userId) => {
+  cache.delete(String(userId));
+};
+
+// Branding for a team row, matched on its in-game ID first and then its name
+const findBranding = (branding, row) => {
+  const candidates = [getTeamKey(row), getTeamName(row)].filter(key => key !== undefined);
+  const match = candidates.find(key => branding.teams.has(normalizeKey(key)));
+  return match === undefined ? null : branding.teams.get(normalizeKey(match));
+};
+
+// Copy of a snapshot whose pointsTable and TeamStats1 rows carry a `branding`
+// object (null for teams without branding)
+const enrichSnapshot = (snapshot, branding) => {
+  const enriched = { ...snapshot };
+  ['pointsTable', 'TeamStats1'].forEach(field => {
+    if (!Array.isArray(snapshot[field])) return;
+    enriched[field] = snapshot[field].map(row => ({ ...row, branding: findBranding(branding, row) }));
+  });
+  return enriched;
+};
+
+// Teams in a snapshot that have no branding, as { teamKey, teamName }
+const findUnknownTeams = (snapshot, branding) => {
+  const unknown = new Map();
+  [snapshot.pointsTable, snapshot.TeamStats1].forEach(rows => {
+    if (!Array.isArray(rows)) return;
+    rows.forEach(row => {
+      const teamKey = getTeamKey(row);
+      if (teamKey === undefined || unknown.has(teamKey) || findBranding(branding, row)) return;
+      const teamName = getTeamName(row);
+      unknown.set(teamKey, { teamKey, teamName: teamName === undefined ? null : teamName });
+    });
+  });
+  return [...unknown.values()];
+};
+
+module.exports = {
+  BRANDING_FIELDS,
+  loadBranding,
+  invalidateBranding,
+  findBranding,
+  enrichSnapshot,
+  findUnknownTeams
+};
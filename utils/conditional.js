@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Clients may keep responses but must revalidate them with If-None-Match
+const CACHE_CONTROL = 'no-cache';
+
+// Short hash of the values that identify a response body
+const hashParts = (parts) => {
+  return crypto.createHash('sha1')
+    .update(parts.map(part => (part === undefined || part === null ? '' : String(part))).join('|'))
+    .digest('base64url');
+};
+
+// Strong ETag from the values that identify a response body
+const buildEtag = (parts) => `"${hashParts(parts)}"`;
+
+const matchesIfNoneMatch = (req, etag) => {
+  const header = req.get('If-None-Match');
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+
+  // If-None-Match uses weak comparison, so ignore W/ prefixes
+  return header
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etag);
+};
+
+// Set ETag and Cache-Control for a snapshot response and answer
+// 304 Not Modified when the client already has it. Returns true if sent.
+const sendNotModified = (req, res, parts) => {
+  const etag = buildEtag(parts);
+  res.set({
+    'ETag': etag,
+    'Cache-Control': CACHE_CONTROL
+  });
+
+  if (!matchesIfNoneMatch(req, etag)) return false;
+
+  res.status(304).end();
+  return true;
+};
+
+// ETag parts describing how a response was rendered
+const outputParts = (output) => {
+  return [output.format, output.shape, output.columns ? output.columns.join(',') : ''];
+};
+
+module.exports = {
+  CACHE_CONTROL,
+  hashParts,
+  buildEtag,
+  sendNotModified,
+  outputParts
+};
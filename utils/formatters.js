@@ -0,0 +1,461 @@
+// Output formats for match data served to vMix and other consumers
+const {
+  getTeamName,
+  getPoints,
+  getKills,
+  getAlive,
+  sortByRank
+} = require('./teamFields');
+
+const FORMATS = ['json', 'xml', 'csv', 'tsv'];
+const SHAPES = ['nested', 'flat'];
+
+// Element name used for each row of a known table section
+const ROW_ELEMENTS = {
+  pointsTable: 'team',
+  teamStats: 'team',
+  events: 'event',
+  standings: 'team',
+  matches: 'match',
+  players: 'player'
+};
+
+const isScalar = (value) => {
+  return value === null ||
+    value === undefined ||
+    typeof value !== 'object' ||
+    value instanceof Date ||
+    value._bsontype !== undefined;
+};
+
+const scalarToString = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Flatten nested objects/arrays into a single level keyed by `parent_child` paths
+const flattenObject = (value, prefix = '', result = {}) => {
+  if (isScalar(value)) {
+    if (prefix) result[prefix] = value;
+    return result;
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [String(index), item])
+    : Object.entries(value);
+
+  entries.forEach(([key, item]) => {
+    flattenObject(item, prefix ? `${prefix}_${key}` : key, result);
+  });
+
+  return result;
+};
+
+// Pick the output format from ?format= or, failing that, the Accept header.
+// Returns null when an unsupported format is explicitly requested.
+const resolveFormat = (req) => {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+    return FORMATS.includes(format) ? format : null;
+  }
+
+  // Browsers list XML in their Accept header too, so only negotiate when HTML is not wanted
+  const accept = req.get('Accept') || '';
+  if (!accept.includes('text/html')) {
+    const preferred = req.accepts(['application/json', 'application/xml', 'text/xml']);
+    if (preferred === 'application/xml' || preferred === 'text/xml') {
+      return 'xml';
+    }
+  }
+
+  return 'json';
+};
+
+// Parse ?columns=a,b,c into an ordered list of column names
+const parseColumns = (columns) => {
+  if (!columns) return null;
+
+  const list = String(columns)
+    .split(',')
+    .map(column => column.trim())
+    .filter(Boolean);
+
+  return list.length ? list : null;
+};
+
+// Read the output options (format, shape, columns) from the query string.
+// Returns { error } when the request asks for something unsupported.
+const resolveOutput = (req) => {
+  const format = resolveFormat(req);
+  if (!format) {
+    return { error: `Invalid format. Use: ${FORMATS.join(', ')}` };
+  }
+
+  const shape = req.query.shape ? String(req.query.shape).toLowerCase() : 'nested';
+  if (!SHAPES.includes(shape)) {
+    return { error: `Invalid shape. Use: ${SHAPES.join(', ')}` };
+  }
+
+  return {
+    format,
+    shape,
+    columns: parseColumns(req.query.columns)
+  };
+};
+
+// Flat shape
+
+const flattenInto = (result, prefix, row) => {
+  Object.entries(flattenObject(row)).forEach(([key, value]) => {
+    result[`${prefix}_${key}`] = value;
+  });
+};
+
+// rank1_team, rank1_points, rank1_kills, ... in rank order
+const flattenPointsTable = (rows, result) => {
+  sortByRank(rows).forEach((row, index) => {
+    const prefix = `rank${index + 1}`;
+    result[`${prefix}_team`] = getTeamName(row);
+    result[`${prefix}_points`] = getPoints(row);
+    result[`${prefix}_kills`] = getKills(row);
+    flattenInto(result, prefix, row);
+  });
+};
+
+// team1_name, team1_alive, ... in rank order
+const flattenTeamStats = (rows, result) => {
+  sortByRank(rows).forEach((row, index) => {
+    const prefix = `team${index + 1}`;
+    result[`${prefix}_name`] = getTeamName(row);
+    result[`${prefix}_alive`] = getAlive(row);
+    flattenInto(result, prefix, row);
+  });
+};
+
+// One tournament standings row with its per-match results as
+// match1_rank, match1_points, match1_kills, ... columns
+const tournamentRow = (row) => {
+  const { matches, ...totals } = row;
+  const result = flattenObject(totals);
+  (matches || []).forEach((match, index) => {
+    const prefix = `match${index + 1}`;
+    result[`${prefix}_rank`] = match.rank;
+    result[`${prefix}_points`] = match.points;
+    result[`${prefix}_kills`] = match.kills;
+  });
+  return result;
+};
+
+// Flatten projected data into fixed keys that a single vMix title can bind to
+const toFlatShape = (data, type) => {
+  const result = {};
+
+  if (type === 'points_table' || type === 'alive_status' || type === 'full') {
+    const pointsTable = data.pointsTable;
+    const teamStats = type === 'full' ? data.TeamStats1 : data.teamStats;
+    const summary = type === 'full' ? data.MatchSummary1 : data.matchSummary;
+
+    flattenInto(result, 'summary', summary || {});
+    if (Array.isArray(pointsTable)) flattenPointsTable(pointsTable, result);
+    if (Array.isArray(teamStats)) flattenTeamStats(teamStats, result);
+
+    // Drop aliases the row did not provide
+    Object.keys(result).forEach(key => {
+      if (result[key] === undefined) delete result[key];
+    });
+    return result;
+  }
+
+  // tournament_name, rank1_team, rank1_points, rank1_match1_points, ... in standings order
+  if (type === 'tournament_table') {
+    result.tournament_name = data.tournament.name;
+    data.standings.forEach((row, index) => {
+      const prefix = `rank${index + 1}`;
+      result[`${prefix}_team`] = row.teamName;
+      flattenInto(result, prefix, tournamentRow(row));
+    });
+    return result;
+  }
+
+  // player1_name, player1_team, player1_kills, ... in leaderboard order
+  if (type === 'player_leaderboard') {
+    data.players.forEach((player, index) => {
+      const prefix = `player${index + 1}`;
+      result[`${prefix}_name`] = player.playerName;
+      result[`${prefix}_team`] = player.teamName;
+      flattenInto(result, prefix, player);
+    });
+    return result;
+  }
+
+  // event1_type, event1_teamName, ... newest first
+  if (type === 'event_feed') {
+    data.events.forEach((event, index) => flattenInto(result, `event${index + 1}`, event));
+    return result;
+  }
+
+  // matchA_type, matchA_timestamp, matchA_rank1_team, ... with each member flattened for its own type
+  if (type === 'bundle') {
+    Object.entries(data).forEach(([key, member]) => {
+      const { data: memberData, ...meta } = member;
+      flattenInto(result, key, meta);
+      if (memberData) flattenInto(result, key, toFlatShape(memberData, member.type));
+    });
+    return result;
+  }
+
+  return flattenObject(data);
+};
+
+// XML
+
+const escapeXml = (value) => {
+  return scalarToString(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+// Turn an arbitrary key into a valid XML element name
+const toElementName = (key) => {
+  const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+};
+
+const xmlElement = (name, value, indent) => {
+  const tag = toElementName(name);
+  return `${indent}<${tag}>${escapeXml(value)}</${tag}>`;
+};
+
+const xmlFields = (value, indent) => {
+  return Object.entries(flattenObject(value))
+    .map(([key, item]) => xmlElement(key, item, indent));
+};
+
+const xmlSection = (name, value, indent) => {
+  const tag = toElementName(name);
+
+  if (isScalar(value)) {
+    return [xmlElement(name, value, indent)];
+  }
+
+  if (Array.isArray(value)) {
+    const rowTag = ROW_ELEMENTS[name] || 'row';
+    const rows = value.map((row, index) => {
+      if (isScalar(row)) {
+        return `${indent}  <${rowTag} index="${index + 1}">${escapeXml(row)}</${rowTag}>`;
+      }
+      return [
+        `${indent}  <${rowTag} index="${index + 1}">`,
+        ...xmlFields(row, `${indent}    `),
+        `${indent}  </${rowTag}>`
+      ].join('\n');
+    });
+    return [`${indent}<${tag}>`, ...rows, `${indent}</${tag}>`];
+  }
+
+  return [`${indent}<${tag}>`, ...xmlFields(value, `${indent}  `), `${indent}</${tag}>`];
+};
+
+// Sections written to the XML document for each type. `full` is limited to the
+// known tables so the document stays stable when the feed adds raw fields.
+const xmlSections = (data, type) => {
+  if (type === 'full') {
+    return {
+      matchSummary: data.MatchSummary1 || {},
+      pointsTable: data.pointsTable || [],
+      teamStats: data.TeamStats1 || []
+    };
+  }
+  if (type === 'tournament_table') {
+    return {
+      ...data,
+      standings: data.standings.map(tournamentRow)
+    };
+  }
+  return data;
+};
+
+// One element per bundle member holding its metadata and the sections of its own type
+const xmlBundleMembers = (data, indent) => {
+  return Object.entries(data).flatMap(([key, member]) => {
+    const { data: memberData, ...meta } = member;
+    const tag = toElementName(key);
+    const sections = memberData ? Object.entries(xmlSections(memberData, member.type)) : [];
+    return [
+      `${indent}<${tag}>`,
+      ...Object.entries(meta).map(([name, value]) => xmlElement(name, value, `${indent}  `)),
+      ...sections.flatMap(([name, value]) => xmlSection(name, value, `${indent}  `)),
+      `${indent}</${tag}>`
+    ];
+  });
+};
+
+const toXml = ({ type, matchId, timestamp, frozen, overridden, data }, layout = type) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<match>',
+    xmlElement('matchId', matchId, '  '),
+    xmlElement('timestamp', timestamp, '  '),
+    xmlElement('type', type, '  ')
+  ];
+
+  // Only API link payloads say whether they are frozen
+  if (frozen !== undefined) {
+    lines.push(xmlElement('frozen', frozen, '  '));
+  }
+  if (overridden !== undefined) {
+    lines.push(xmlElement('overridden', overridden, '  '));
+  }
+
+  if (layout === 'bundle') {
+    lines.push(...xmlBundleMembers(data, '  '));
+  } else {
+    Object.entries(xmlSections(data, layout)).forEach(([name, value]) => {
+      lines.push(...xmlSection(name, value, '  '));
+    });
+  }
+
+  lines.push('</match>');
+  return lines.join('\n');
+};
+
+// CSV / TSV
+
+const DELIMITERS = {
+  csv: ',',
+  tsv: '\t'
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  tsv: 'text/tab-separated-values; charset=utf-8'
+};
+
+const escapeCell = (value, delimiter) => {
+  const text = scalarToString(value);
+
+  // TSV has no quoting, so separators inside values are replaced
+  if (delimiter === '\t') {
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+// Rows exported for each type: one row per team for the tables and
+// tournament standings, one row per event for event feeds, one row per player
+// for leaderboards, and a key/value layout of the flattened document for `full`
+// links (and of the flat shape for bundles, whose members differ in layout)
+const tabularRows = (data, type) => {
+  if (type === 'points_table') {
+    return data.pointsTable.map(row => flattenObject(row));
+  }
+
+  if (type === 'alive_status') {
+    return data.teamStats.map(row => flattenObject(row));
+  }
+
+  if (type === 'event_feed') {
+    return data.events.map(row => flattenObject(row));
+  }
+
+  if (type === 'player_leaderboard') {
+    return data.players.map(row => flattenObject(row));
+  }
+
+  if (type === 'tournament_table') {
+    return data.standings.map(tournamentRow);
+  }
+
+  if (type === 'bundle') {
+    return Object.entries(toFlatShape(data, type))
+      .map(([key, value]) => ({ key, value }));
+  }
+
+  if (Array.isArray(data)) {
+    return data.map(row => flattenObject(row));
+  }
+
+  return Object.entries(flattenObject(data))
+    .map(([key, value]) => ({ key, value }));
+};
+
+const toDelimited = (rows, format, columns) => {
+  const delimiter = DELIMITERS[format];
+
+  // Default to every column seen, in first-seen order
+  const header = columns || rows.reduce((keys, row) => {
+    Object.keys(row).forEach(key => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+    return keys;
+  }, []);
+
+  const lines = [header.map(column => escapeCell(column, delimiter)).join(delimiter)];
+  rows.forEach(row => {
+    lines.push(header.map(column => escapeCell(row[column], delimiter)).join(delimiter));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+const shapeData = (output, payload) => {
+  return output.shape === 'flat' ? toFlatShape(payload.data, payload.type) : payload.data;
+};
+
+const jsonEnvelope = (payload, data) => {
+  return {
+    success: true,
+    matchId: payload.matchId,
+    timestamp: payload.timestamp,
+    ...(payload.frozen !== undefined && { frozen: payload.frozen }),
+    ...(payload.overridden !== undefined && { overridden: payload.overridden }),
+    data
+  };
+};
+
+// JSON envelope for a match payload ({ type, matchId, timestamp, [frozen], [overridden], data })
+const toJsonEnvelope = (output, payload) => {
+  return jsonEnvelope(payload, shapeData(output, payload));
+};
+
+// Send a match payload ({ type, matchId, timestamp, [frozen], [overridden], data }) using the
+// options returned by resolveOutput
+const sendSnapshot = (res, output, payload) => {
+  const flat = output.shape === 'flat';
+  const data = shapeData(output, payload);
+
+  // Flattened data no longer has the per-type sections, so format it generically
+  const layout = flat ? 'flat' : payload.type;
+
+  if (output.format === 'xml') {
+    return res.type('application/xml').send(toXml({ ...payload, data }, layout));
+  }
+
+  if (output.format === 'csv' || output.format === 'tsv') {
+    const rows = tabularRows(data, layout);
+    return res.set('Content-Type', CONTENT_TYPES[output.format])
+      .send(toDelimited(rows, output.format, output.columns));
+  }
+
+  res.json(jsonEnvelope(payload, data));
+};
+
+module.exports = {
+  FORMATS,
+  SHAPES,
+  flattenObject,
+  resolveOutput,
+  toFlatShape,
+  toXml,
+  toDelimited,
+  toJsonEnvelope,
+  sendSnapshot
+};
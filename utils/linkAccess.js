@@ -0,0 +1,125 @@
+const ApiLink = require('../models/ApiLink');
+const Tournament = require('../models/Tournament');
+const { matchExists, getLatestSnapshot } = require('./matchData');
+const { checkLinkProtection } = require('./linkProtection');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Matches a link reads: its own, its tournament's, or those of its bundle members
+const sourceMatchIds = async (apiLink) => {
+  if (apiLink.type === 'bundle') {
+    const memberMatchIds = await Promise.all(apiLink.members.map(async (member) => {
+      if (!member.linkId) return [member.matchId];
+
+      const link = await ApiLink.findOne({ linkId: member.linkId, userId: apiLink.userId }).lean();
+      return link && link.type !== 'bundle' ? sourceMatchIds(link) : [];
+    }));
+    return [...new Set(memberMatchIds.flat())];
+  }
+
+  if (apiLink.tournamentId) {
+    const tournament = await Tournament.findById(apiLink.tournamentId).select('matchIds').lean();
+    return tournament ? tournament.matchIds : [];
+  }
+  return [apiLink.matchId];
+};
+
+// Time of the newest snapshot behind a link (null when its matches have no data yet)
+const lastSourceActivity = async (apiLink) => {
+  const matchIds = await sourceMatchIds(apiLink);
+
+  const snapshots = await Promise.all(matchIds.map(async (matchId) => {
+    return (await matchExists(matchId)) ? getLatestSnapshot(matchId) : null;
+  }));
+
+  const timestamps = snapshots
+    .filter(Boolean)
+    .map(snapshot => new Date(snapshot.timestamp).getTime());
+  return timestamps.length ? new Date(Math.max(...timestamps)) : null;
+};
+
+// The earlier of expiresAt and the auto-expire time, or null when neither applies
+const effectiveExpiry = async (apiLink) => {
+  let expiresAt = apiLink.expiresAt || null;
+
+  if (apiLink.autoExpireHours) {
+    const lastActivity = await lastSourceActivity(apiLink);
+    if (lastActivity) {
+      const autoExpiresAt = new Date(lastActivity.getTime() + apiLink.autoExpireHours * HOUR_MS);
+      if (!expiresAt || autoExpiresAt < expiresAt) expiresAt = autoExpiresAt;
+    }
+  }
+
+  return expiresAt;
+};
+
+// Effective state of a link: { state, activeFrom, expiresAt } where
+// expiresAt includes the auto-expire time. state is one of:
+// active - served
+// scheduled - activeFrom is still in the future
+// expired - expiresAt (or the auto-expire time) has passed
+// disabled - turned off with isActive
+const resolveLinkAccess = async (apiLink, now = new Date()) => {
+  const access = {
+    state: 'active',
+    activeFrom: apiLink.activeFrom || null,
+    expiresAt: await effectiveExpiry(apiLink)
+  };
+
+  if (!apiLink.isActive) {
+    access.state = 'disabled';
+  } else if (access.activeFrom && now < access.activeFrom) {
+    access.state = 'scheduled';
+  } else if (access.expiresAt && now >= access.expiresAt) {
+    access.state = 'expired';
+  }
+
+  return access;
+};
+
+// Why a link cannot be served: { status, unavailable: { error, ... } }.
+// Disabled links answer like unknown ones; scheduled and expired links say why.
+const unavailableError = (access) => {
+  if (access.state === 'scheduled') {
+    return {
+      status: 403,
+      unavailable: { error: 'Link is not active yet', state: access.state, activeFrom: access.activeFrom }
+    };
+  }
+  if (access.state === 'expired') {
+    return {
+      status: 410,
+      unavailable: { error: 'Link has expired', state: access.state, expiresAt: access.expiresAt }
+    };
+  }
+  return { status: 404, unavailable: { error: 'Not found' } };
+};
+
+// Look up a link for public access. `credentials` ({ ip, secret, expires,
+// signature }) are checked against the link's protection settings before its
+// schedule. Returns { apiLink, access } when it can be served now, or
+// { status, unavailable } explaining why not. `exists` says whether the link
+// is known at all, so hits on made-up IDs are not logged.
+const findServableLink = async (linkId, credentials = {}) => {
+  const apiLink = await ApiLink.findOne({ linkId }).select('+signingSecret +accessSecretHash');
+  if (!apiLink) {
+    return { exists: false, status: 404, unavailable: { error: 'Not found' } };
+  }
+
+  // Disabled links stay indistinguishable from unknown ones
+  if (apiLink.isActive) {
+    const denied = checkLinkProtection(apiLink, credentials);
+    if (denied) return { exists: true, ...denied };
+  }
+
+  const access = await resolveLinkAccess(apiLink);
+  if (access.state !== 'active') {
+    return { exists: true, ...unavailableError(access) };
+  }
+  return { exists: true, apiLink, access };
+};
+
+module.exports = {
+  resolveLinkAccess,
+  findServableLink
+};
@@ -0,0 +1,434 @@
+const ApiLink = require('../models/ApiLink');
+const Tournament = require('../models/Tournament');
+const { matchExists, getLatestSnapshot, getSnapshotById, getSnapshotBefore } = require('./matchData');
+const { watchMatch, notifyMatchChange } = require('./matchWatcher');
+const { projectSnapshot, projectFields } = require('./projection');
+const { syncMatchEvents, getMatchEvents } = require('./matchEvents');
+const { loadBranding, enrichSnapshot, findBranding } = require('./branding');
+const {
+  resolveTournamentTable,
+  resolveTournamentPlayers,
+  notifyTournamentChange,
+  watchTournament
+} = require('./tournaments');
+const { DEFAULT_PLAYER_SORT, PLAYERS_DEFAULT_LIMIT, extractPlayers, rankPlayers } = require('./players');
+const { loadScoringRule, scoringRuleVersion, applyScoringRule } = require('./scoring');
+const { loadOverrides, overrideSnapshot } = require('./overrides');
+const { hashParts } = require('./conditional');
+const { resolveLinkAccess } = require('./linkAccess');
+const { checkLinkProtection } = require('./linkProtection');
+
+// Match link types served from team rows, which a scoring rule recomputes
+const TEAM_TYPES = ['full', 'alive_status', 'points_table', 'custom'];
+
+// Links that read a tournament instead of a single match
+const readsTournament = (apiLink) => {
+  return apiLink.type === 'tournament_table' || (apiLink.type === 'player_leaderboard' && !!apiLink.tournamentId);
+};
+
+// Version parts for a player leaderboard's ordering and length
+const leaderboardVersion = (apiLink) => {
+  return [apiLink.sortBy || DEFAULT_PLAYER_SORT, apiLink.limit || PLAYERS_DEFAULT_LIMIT];
+};
+
+// Delayed links only serve snapshots taken at or before this time (null for live links)
+const delayCutoff = (apiLink) => {
+  return apiLink.delaySeconds ? new Date(Date.now() - apiLink.delaySeconds * 1000) : null;
+};
+
+// The snapshot a match link serves: its pinned snapshot while frozen, the
+// newest one old enough for its delay, or the latest. Returns { snapshot } or { error }.
+const loadServedSnapshot = async (apiLink, matchId) => {
+  if (apiLink.frozenSnapshotId) {
+    const snapshot = await getSnapshotById(matchId, apiLink.frozenSnapshotId);
+    return snapshot ? { snapshot } : { error: 'Frozen snapshot not found' };
+  }
+
+  const cutoff = delayCutoff(apiLink);
+  if (cutoff) {
+    const snapshot = await getSnapshotBefore(matchId, cutoff);
+    return snapshot ? { snapshot } : { error: 'No match data old enough for the link delay yet' };
+  }
+
+  const snapshot = await getLatestSnapshot(matchId);
+  return snapshot ? { snapshot } : { error: 'No match data found' };
+};
+
+const loadMatchLinkData = async (apiLink) => {
+  const matchId = apiLink.matchId.trim();
+
+  if (!(await matchExists(matchId))) {
+    return { status: 404, error: 'Match data not found' };
+  }
+
+  const { snapshot, error } = await loadServedSnapshot(apiLink, matchId);
+  if (error) {
+    return { status: 404, error };
+  }
+
+  const frozen = !!apiLink.frozenSnapshotId;
+
+  const loaded = {
+    snapshot,
+    frozen,
+    version: [apiLink.type, matchId, snapshot._id, new Date(snapshot.timestamp).getTime(), frozen]
+  };
+
+  // Events are derived from snapshots, so the served snapshot still versions the feed.
+  // Frozen and delayed feeds stop at their snapshot while events keep being derived up to the latest.
+  if (apiLink.type === 'event_feed') {
+    const limit = apiLink.limit || 10;
+    const behindLive = frozen || !!apiLink.delaySeconds;
+    const latest = behindLive ? await getLatestSnapshot(matchId) : snapshot;
+    await syncMatchEvents(matchId, latest._id);
+    loaded.events = await getMatchEvents(matchId, { limit, until: behindLive ? snapshot.timestamp : undefined });
+    loaded.version.push(limit);
+  }
+
+  // Rescored points come from the rule, so editing it changes the payload too.
+  // Event feeds keep the feed's own numbers.
+  if (apiLink.scoringRuleId && TEAM_TYPES.includes(apiLink.type)) {
+    const scoringRule = await loadScoringRule(apiLink.scoringRuleId);
+    loaded.snapshot = applyScoringRule(snapshot, scoringRule);
+    loaded.version.push(scoringRuleVersion(scoringRule));
+  }
+
+  // Operator overrides go on top of the feed's or the rule's points.
+  // Event feeds keep reporting what the feed sent.
+  if (apiLink.type !== 'event_feed') {
+    const overrides = await loadOverrides(matchId, apiLink.userId);
+    const applied = overrideSnapshot(loaded.snapshot, overrides);
+    loaded.snapshot = applied.snapshot;
+    loaded.overridden = applied.overridden;
+    loaded.version.push(overrides.version);
+  }
+
+  // Editing the field list changes the payload without a new snapshot
+  if (apiLink.type === 'custom') {
+    loaded.version.push(apiLink.fields.map(({ path, as }) => `${path}:${as || ''}`).join(','));
+  }
+
+  if (apiLink.type === 'player_leaderboard') {
+    loaded.players = extractPlayers(loaded.snapshot);
+    loaded.version.push(...leaderboardVersion(apiLink));
+  }
+
+  return loaded;
+};
+
+// Tournament data is read fresh on every request so match changes show up at once
+const loadTournamentLinkData = async (apiLink) => {
+  const tournament = await Tournament.findById(apiLink.tournamentId).lean();
+  if (!tournament) {
+    return { status: 404, error: 'Tournament not found' };
+  }
+
+  const asOf = delayCutoff(apiLink);
+
+  if (apiLink.type === 'player_leaderboard') {
+    const { players, timestamp, overridden, version } = await resolveTournamentPlayers(tournament, { asOf });
+    return {
+      snapshot: null,
+      players,
+      timestamp,
+      overridden,
+      version: [apiLink.type, ...version, ...leaderboardVersion(apiLink)]
+    };
+  }
+
+  // A rule set on the link overrides the tournament's
+  const table = await resolveTournamentTable(tournament, apiLink.scoringRuleId || tournament.scoringRuleId, { asOf });
+  return {
+    snapshot: null,
+    table,
+    timestamp: table.timestamp,
+    overridden: table.overridden,
+    version: [apiLink.type, ...table.version]
+  };
+};
+
+// What a bundle member serves: { source } with the link to load (one of the
+// owner's links, or a matchId/type pair that takes the bundle's settings) or { error }
+const bundleMemberSource = async (apiLink, member) => {
+  if (member.linkId) {
+    const link = await ApiLink.findOne({ linkId: member.linkId, userId: apiLink.userId })
+      .select('+signingSecret +accessSecretHash')
+      .lean();
+    // Bundles are not nested
+    if (!link || link.type === 'bundle') {
+      return { error: 'Member link not found' };
+    }
+
+    // A member link is only served while its own URL would be. Bundles carry no
+    // credentials for it, so links protected by IP, secret or signature are left out.
+    if (checkLinkProtection(link, {}) || (await resolveLinkAccess(link)).state !== 'active') {
+      return { error: 'Member link unavailable' };
+    }
+    return { source: link };
+  }
+
+  return {
+    source: {
+      userId: apiLink.userId,
+      type: member.type,
+      matchId: member.matchId,
+      enrichBranding: apiLink.enrichBranding,
+      scoringRuleId: apiLink.scoringRuleId,
+      delaySeconds: apiLink.delaySeconds,
+      // Where watchers read the current delay from
+      bundleLinkId: apiLink.linkId
+    }
+  };
+};
+
+// Every member of a bundle loaded as { key, linkId, source, loaded }. Members
+// without data keep their error so the rest of the bundle is still served.
+const loadBundleLinkData = async (apiLink) => {
+  const members = await Promise.all(apiLink.members.map(async (member) => {
+    const { source, error } = await bundleMemberSource(apiLink, member);
+    const loaded = source ? await loadLinkData(source) : { status: 404, error };
+    return { key: member.key, linkId: member.linkId, source, loaded };
+  }));
+
+  const served = members.filter(member => !member.loaded.error);
+  if (!served.length) {
+    return { status: 404, error: 'No data for any bundle member yet' };
+  }
+
+  const timestamps = served.map(({ loaded }) => {
+    const timestamp = loaded.snapshot ? loaded.snapshot.timestamp : loaded.timestamp;
+    return timestamp ? new Date(timestamp).getTime() : null;
+  }).filter(timestamp => timestamp !== null);
+
+  return {
+    snapshot: null,
+    members,
+    timestamp: timestamps.length ? new Date(Math.max(...timestamps)) : null,
+    overridden: served.some(({ loaded }) => loaded.overridden),
+    version: [
+      apiLink.type,
+      ...members.map(({ key, loaded }) => `${key}:${loaded.error || hashParts(loaded.version)}`)
+    ]
+  };
+};
+
+// Load the data an API link serves.
+// Returns { snapshot, version, ... } or { status, error } when there is nothing to serve yet.
+// Match links also carry `frozen`, and every link but event feeds carries
+// `overridden` (whether operator overrides changed the data).
+// `snapshot` is null for tournament links, which carry `table` or `players`
+// and the `timestamp` of their newest match instead, and for bundles, which
+// carry their loaded `members` and the `timestamp` of their newest member.
+// `version` lists the values that change whenever the served data changes.
+const loadLinkData = async (apiLink) => {
+  // Members apply their own settings, branding included
+  if (apiLink.type === 'bundle') {
+    return loadBundleLinkData(apiLink);
+  }
+
+  const loaded = readsTournament(apiLink)
+    ? await loadTournamentLinkData(apiLink)
+    : await loadMatchLinkData(apiLink);
+  if (loaded.error) return loaded;
+
+  // Editing the owner's team branding changes the payload without a new snapshot
+  if (apiLink.enrichBranding) {
+    loaded.branding = await loadBranding(apiLink.userId);
+    loaded.version.push(loaded.branding.version);
+  }
+
+  return loaded;
+};
+
+// Data served for each link type, with team branding applied when enabled.
+// Bundles serve each member's payload under its key ({ error } for members without data).
+const projectLinkData = (apiLink, loaded) => {
+  if (apiLink.type === 'bundle') {
+    return Object.fromEntries(loaded.members.map(({ key, linkId, source, loaded: member }) => [
+      key,
+      {
+        ...(linkId && { linkId }),
+        ...(member.error ? { error: member.error } : buildLinkPayload(source, member))
+      }
+    ]));
+  }
+
+  if (apiLink.type === 'event_feed') {
+    return { events: loaded.events };
+  }
+
+  if (apiLink.type === 'player_leaderboard') {
+    const players = rankPlayers(loaded.players, {
+      sortBy: apiLink.sortBy || DEFAULT_PLAYER_SORT,
+      limit: apiLink.limit || PLAYERS_DEFAULT_LIMIT
+    });
+    return {
+      players: loaded.branding
+        ? players.map(row => ({
+          ...row,
+          branding: findBranding(loaded.branding, { teamId: row.teamKey, teamName: row.teamName })
+        }))
+        : players
+    };
+  }
+
+  if (apiLink.type === 'tournament_table') {
+    const { tournament, matches, standings } = loaded.table;
+    return {
+      tournament,
+      matches,
+      standings: loaded.branding
+        ? standings.map(row => ({
+          ...row,
+          branding: findBranding(loaded.branding, { teamId: row.teamKey, teamName: row.teamName })
+        }))
+        : standings
+    };
+  }
+
+  const snapshot = loaded.branding
+    ? enrichSnapshot(loaded.snapshot, loaded.branding)
+    : loaded.snapshot;
+
+  if (apiLink.type === 'custom') {
+    return projectFields(snapshot, apiLink.fields);
+  }
+  return projectSnapshot(snapshot, apiLink.type);
+};
+
+// Build the response payload ({ type, matchId, timestamp, frozen, overridden, data })
+// from loaded link data. `frozen` is true while a match link serves a pinned snapshot,
+// whose time is then the payload's timestamp.
+const buildLinkPayload = (apiLink, loaded) => {
+  const { snapshot } = loaded;
+  return {
+    type: apiLink.type,
+    matchId: snapshot ? snapshot.matchId : null,
+    timestamp: snapshot ? snapshot.timestamp : loaded.timestamp,
+    frozen: !!loaded.frozen,
+    overridden: !!loaded.overridden,
+    data: projectLinkData(apiLink, loaded)
+  };
+};
+
+// Load and build in one step: { snapshot, version, revision, payload } or { status, error }.
+// `revision` is a short ID for `version`, used to skip pushing unchanged data to streams.
+const resolveLinkData = async (apiLink) => {
+  const loaded = await loadLinkData(apiLink);
+  if (loaded.error) return loaded;
+
+  return {
+    ...loaded,
+    revision: hashParts(loaded.version),
+    payload: buildLinkPayload(apiLink, loaded)
+  };
+};
+
+// Watch every member of a bundle. Member links are looked up once, when watching starts.
+const watchBundleSources = (apiLink, listener) => {
+  let stopMembers = [];
+  let stopped = false;
+
+  Promise.all(apiLink.members.map(member => bundleMemberSource(apiLink, member)))
+    .then(members => {
+      if (stopped) return;
+      stopMembers = members
+        .filter(({ source }) => source)
+        .map(({ source }) => watchLinkSources(source, listener));
+    })
+    .catch(error => console.error(`Error watching bundle ${apiLink.linkId}:`, error.message));
+
+  return () => {
+    stopped = true;
+    stopMembers.forEach(stop => stop());
+  };
+};
+
+// Identifies what watchLinkSources(apiLink) watches, so open streams can tell
+// when an edited link needs watching again. Bundles include each member's
+// current sources, which change when a member link is edited or becomes unavailable.
+const linkSourcesKey = async (apiLink) => {
+  if (apiLink.type === 'bundle') {
+    const members = await Promise.all(apiLink.members.map(member => bundleMemberSource(apiLink, member)));
+    const keys = await Promise.all(members.map(({ source }) => (source ? linkSourcesKey(source) : '-')));
+    return `bundle[${keys.join(',')}]`;
+  }
+
+  return readsTournament(apiLink) ? `tournament:${apiLink.tournamentId}` : `match:${apiLink.matchId}`;
+};
+
+// A link's delay as saved now, so edits reach streams that are already open.
+// Bundle members served straight from a match use their bundle's.
+const currentDelay = async (apiLink) => {
+  const linkId = apiLink.linkId || apiLink.bundleLinkId;
+  if (!linkId) return apiLink.delaySeconds || 0;
+
+  const link = await ApiLink.findOne({ linkId }).select('delaySeconds').lean();
+  return link ? link.delaySeconds || 0 : 0;
+};
+
+// Call `listener()` whenever the data behind a link may have changed: a new
+// snapshot or override of its match, or of any match in its tournament or
+// bundle. Delayed links are told `delaySeconds` later, once the change is old
+// enough to serve; the delay is read when each change comes in. Returns a stop function.
+const watchLinkSources = (apiLink, listener) => {
+  if (apiLink.type === 'bundle') {
+    return watchBundleSources(apiLink, listener);
+  }
+
+  const timers = new Set();
+  let stopped = false;
+
+  const notify = () => {
+    currentDelay(apiLink)
+      .then(delaySeconds => {
+        if (stopped) return;
+        if (!delaySeconds) return listener();
+
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          listener();
+        }, delaySeconds * 1000);
+        timers.add(timer);
+      })
+      .catch(error => console.error('Error reading link delay:', error.message));
+  };
+
+  const stop = readsTournament(apiLink)
+    ? watchTournament(apiLink.tournamentId, notify)
+    : watchMatch(apiLink.matchId, () => notify());
+
+  return () => {
+    stopped = true;
+    stop();
+    timers.forEach(timer => clearTimeout(timer));
+    timers.clear();
+  };
+};
+
+// Tell open streams of a link that its data changed without a new snapshot,
+// e.g. after it was frozen or its scoring rule was edited. Streams watch the
+// link's match or tournament (each member's for bundles), so those are told.
+const notifyLinkChange = async (apiLink) => {
+  if (apiLink.type === 'bundle') {
+    const members = await Promise.all(apiLink.members.map(member => bundleMemberSource(apiLink, member)));
+    await Promise.all(members.filter(({ source }) => source).map(({ source }) => notifyLinkChange(source)));
+    return;
+  }
+
+  if (readsTournament(apiLink)) {
+    notifyTournamentChange(apiLink.tournamentId);
+  } else {
+    notifyMatchChange(apiLink.matchId);
+  }
+};
+
+module.exports = {
+  delayCutoff,
+  loadLinkData,
+  buildLinkPayload,
+  resolveLinkData,
+  watchLinkSources,
+  linkSourcesKey,
+  notifyLinkChange
+};
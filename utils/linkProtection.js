@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// Header carrying a link's access secret
+const SECRET_HEADER = 'X-Link-Secret';
+
+// Signed URLs are valid for an hour unless asked otherwise, and never longer than 30 days
+const DEFAULT_SIGNATURE_TTL_S = 60 * 60;
+const MAX_SIGNATURE_TTL_S = 30 * 24 * 60 * 60;
+
+const MAX_ALLOWED_IPS = 50;
+const MIN_SECRET_LENGTH = 16;
+
+const generateSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Access secrets are stored as hashes; only the owner ever sees the plain value
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// HMAC over the link ID and expiry time (epoch seconds)
+const computeSignature = (linkId, expires, signingSecret) => {
+  return crypto.createHmac('sha256', signingSecret).update(`${linkId}.${expires}`).digest('base64url');
+};
+
+// Query parameters for a signed URL valid for `ttlSeconds`: { expires, signature }
+const signLink = (apiLink, ttlSeconds = DEFAULT_SIGNATURE_TTL_S) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    expires,
+    signature: computeSignature(apiLink.linkId, expires, apiLink.signingSecret)
+  };
+};
+
+// IPv4 clients on dual-stack sockets show up as ::ffff:1.2.3.4
+const normalizeIp = (ip) => {
+  const address = String(ip || '');
+  return address.startsWith('::ffff:') && net.isIPv4(address.slice(7)) ? address.slice(7) : address;
+};
+
+// Parse "1.2.3.4" or "10.0.0.0/8" (IPv4 or IPv6). Returns { address, prefix, family } or null.
+const parseIpRule = (rule) => {
+  if (typeof rule !== 'string') return null;
+
+  const [address, prefixText, extra] = rule.trim().split('/');
+  const version = net.isIP(address);
+  if (!version || extra !== undefined) return null;
+
+  const family = version === 4 ? 'ipv4' : 'ipv6';
+  if (prefixText === undefined) return { address, prefix: null, family };
+
+  const prefix = Number(prefixText);
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (!/^\d+$/.test(prefixText) || prefix > maxPrefix) return null;
+  return { address, prefix, family };
+};
+
+// Validate an allowlist of IPs and CIDR ranges. Returns { allowedIps } or { error }.
+const validateAllowedIps = (value) => {
+  if (!Array.isArray(value)) {
+    return { error: 'allowedIps must be an array of IP addresses or CIDR ranges' };
+  }
+  if (value.length > MAX_ALLOWED_IPS) {
+    return { error: `allowedIps cannot list more than ${MAX_ALLOWED_IPS} entries` };
+  }
+
+  const invalid = value.find(rule => !parseIpRule(rule));
+  if (invalid !== undefined) {
+    return { error: `Invalid IP address or CIDR range: ${invalid}` };
+  }
+  return { allowedIps: value.map(rule => rule.trim()) };
+};
+
+const ipAllowed = (allowedIps, ip) => {
+  const address = normalizeIp(ip);
+  const version = net.isIP(address);
+  if (!version) return false;
+
+  const blockList = new net.BlockList();
+  allowedIps.map(parseIpRule).filter(Boolean).forEach(({ address: ruleAddress, prefix, family }) => {
+    if (prefix === null) {
+      blockList.addAddress(ruleAddress, family);
+    } else {
+      blockList.addSubnet(ruleAddress, prefix, family);
+    }
+  });
+
+  return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Client address behind trusted proxies, the way Express computes req.ip:
+// walk X-Forwarded-For from the socket outwards while `trust(address, hop)` holds
+const clientAddress = (request, trust) => {
+  const forwarded = String(request.headers['x-forwarded-for'] || '')
+    .split(',')
+    .map(address => address.trim())
+    .filter(Boolean)
+    .reverse();
+  const addresses = [request.socket.remoteAddress, ...forwarded];
+
+  for (let hop = 0; hop < addresses.length - 1; hop++) {
+    if (!trust || !trust(addresses[hop], hop)) return addresses[hop];
+  }
+  return addresses[addresses.length - 1];
+};
+
+// Check a request against a link's protection settings. `credentials` holds
+// { ip, secret, expires, signature } from the request. Returns null when access
+// is allowed, otherwise { status, unavailable: { error } }.
+const checkLinkProtection = (apiLink, credentials) => {
+  const deny = (status, error) => ({ status, unavailable: { error } });
+
+  if (apiLink.allowedIps && apiLink.allowedIps.length && !ipAllowed(apiLink.allowedIps, credentials.ip)) {
+    return deny(403, 'Access from this address is not allowed');
+  }
+
+  if (apiLink.accessSecretHash) {
+    if (!credentials.secret || !safeEqual(hashSecret(credentials.secret), apiLink.accessSecretHash)) {
+      return deny(401, `A valid ${SECRET_HEADER} header is required`);
+    }
+  }
+
+  if (apiLink.requireSignature) {
+    const expires = Number(credentials.expires);
+    if (!credentials.signature || !Number.isInteger(expires)) {
+      return deny(401, 'A signed URL is required');
+    }
+    const expected = computeSignature(apiLink.linkId, expires, apiLink.signingSecret);
+    if (!safeEqual(expected, credentials.signature)) {
+      return deny(401, 'Invalid signature');
+    }
+    if (expires * 1000 <= Date.now()) {
+      return deny(401, 'Signed URL has expired');
+    }
+  }
+
+  return null;
+};
+
+// Protection credentials sent with an HTTP request to a public link
+const requestCredentials = (req) => {
+  return {
+    ip: req.ip,
+    secret: req.get(SECRET_HEADER),
+    expires: req.query.expires,
+    signature: req.query.signature ? String(req.query.signature) : undefined
+  };
+};
+
+module.exports = {
+  SECRET_HEADER,
+  DEFAULT_SIGNATURE_TTL_S,
+  MAX_SIGNATURE_TTL_S,
+  MIN_SECRET_LENGTH,
+  generateSecret,
+  hashSecret,
+  signLink,
+  validateAllowedIps,
+  clientAddress,
+  checkLinkProtection,
+  requestCredentials
+};
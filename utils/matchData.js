@@ -0,0 +1,330 @@
+const mongoose = require('mongoose');
+
+// How long the list of match collections and each latest snapshot are reused
+const COLLECTIONS_TTL_MS = parseInt(process.env.MATCH_CACHE_COLLECTIONS_TTL_MS, 10) || 10000;
+const SNAPSHOT_TTL_MS = parseInt(process.env.MATCH_CACHE_SNAPSHOT_TTL_MS, 10) || 1000;
+
+const cache = {
+  collections: null,        // Set of collection names
+  collectionsExpireAt: 0,
+  collectionsRequest: null, // In-flight listCollections, shared by concurrent callers
+  snapshots: new Map()      // collection name -> { snapshot, expiresAt, request }
+};
+
+const stats = {
+  collections: { hits: 0, misses: 0 },
+  snapshots: { hits: 0, misses: 0 }
+};
+
+let changeStream = null;
+
+// Match snapshots live in one collection per match: match_<matchId> with
+// hyphens converted to underscores
+const getCollectionName = (matchId) => {
+  return `match_${String(matchId).trim().replace(/-/g, '_')}`;
+};
+
+const loadCollectionNames = async () => {
+  if (cache.collections && Date.now() < cache.collectionsExpireAt) {
+    stats.collections.hits += 1;
+    return cache.collections;
+  }
+
+  stats.collections.misses += 1;
+  if (!cache.collectionsRequest) {
+    cache.collectionsRequest = mongoose.connection.db
+      .listCollections({}, { nameOnly: true })
+      .toArray()
+      .then(collections => {
+        cache.collections = new Set(collections.map(col => col.name));
+        cache.collectionsExpireAt = Date.now() + COLLECTIONS_TTL_MS;
+        return cache.collections;
+      })
+      .finally(() => {
+        cache.collectionsRequest = null;
+      });
+  }
+  return cache.collectionsRequest;
+};
+
+// Check if the collection for a match exists
+const matchExists = async (matchId) => {
+  const collections = await loadCollectionNames();
+  return collections.has(getCollectionName(matchId));
+};
+
+// Names of every match collection
+const listMatchCollections = async () => {
+  const collections = await loadCollectionNames();
+  return [...collections].filter(name => name.startsWith('match_'));
+};
+
+// Catalog entry for a match collection: the matchId stored on its snapshots
+// (collection names lose hyphens), the snapshot count and the time range covered
+const describeMatchCollection = async (collectionName) => {
+  const collection = mongoose.connection.db.collection(collectionName);
+  const projection = { matchId: 1, timestamp: 1 };
+
+  const [snapshotCount, first, last] = await Promise.all([
+    collection.estimatedDocumentCount(),
+    collection.findOne({}, { sort: { timestamp: 1 }, projection }),
+    collection.findOne({}, { sort: { timestamp: -1 }, projection })
+  ]);
+
+  const storedMatchId = (last && last.matchId) || (first && first.matchId);
+  return {
+    matchId: storedMatchId ? String(storedMatchId) : collectionName.slice('match_'.length),
+    collection: collectionName,
+    snapshotCount,
+    firstTimestamp: first ? first.timestamp : null,
+    lastTimestamp: last ? last.timestamp : null
+  };
+};
+
+// Get the latest snapshot for a match (null when the collection is empty).
+// Pass { fresh: true } to skip the cache; the result still refreshes it.
+const getLatestSnapshot = async (matchId, { fresh = false } = {}) => {
+  const collectionName = getCollectionName(matchId);
+  const cached = cache.snapshots.get(collectionName);
+
+  if (!fresh && cached) {
+    if (cached.request) {
+      stats.snapshots.hits += 1;
+      return cached.request;
+    }
+    if (Date.now() < cached.expiresAt) {
+      stats.snapshots.hits += 1;
+      return cached.snapshot;
+    }
+  }
+
+  stats.snapshots.misses += 1;
+  const entry = { snapshot: null, expiresAt: 0, request: null };
+  entry.request = mongoose.connection.db
+    .collection(collectionName)
+    .findOne({}, { sort: { timestamp: -1 } })
+    .then(snapshot => {
+      entry.snapshot = snapshot;
+      entry.expiresAt = Date.now() + SNAPSHOT_TTL_MS;
+      return snapshot;
+    })
+    .catch(error => {
+      cache.snapshots.delete(collectionName);
+      throw error;
+    })
+    .finally(() => {
+      entry.request = null;
+    });
+
+  cache.snapshots.set(collectionName, entry);
+  return entry.request;
+};
+
+const snapshotCollection = (matchId) => {
+  return mongoose.connection.db.collection(getCollectionName(matchId));
+};
+
+// Get one snapshot by its _id (null when not found). IDs are ObjectIds when
+// written by the driver, but the feed may use plain strings.
+const getSnapshotById = async (matchId, snapshotId) => {
+  const id = String(snapshotId);
+  const ids = /^[0-9a-f]{24}$/i.test(id) ? [new mongoose.Types.ObjectId(id), id] : [id];
+  return snapshotCollection(matchId).findOne({ _id: { $in: ids } });
+};
+
+// Get the latest snapshot taken at or before `date` (null when there is none)
+const getSnapshotBefore = async (matchId, date) => {
+  return snapshotCollection(matchId).findOne(
+    { timestamp: { $lte: date } },
+    { sort: { timestamp: -1, _id: -1 } }
+  );
+};
+
+// Get the snapshot taken just before another one (null for the first snapshot)
+const getPreviousSnapshot = async (matchId, snapshot) => {
+  return snapshotCollection(matchId).findOne(
+    {
+      $or: [
+        { timestamp: { $lt: snapshot.timestamp } },
+        { timestamp: snapshot.timestamp, _id: { $lt: snapshot._id } }
+      ]
+    },
+    { sort: { timestamp: -1, _id: -1 } }
+  );
+};
+
+// Get the snapshot whose timestamp is closest to `date`
+const getNearestSnapshot = async (matchId, date) => {
+  const [before, after] = await Promise.all([
+    getSnapshotBefore(matchId, date),
+    snapshotCollection(matchId).findOne(
+      { timestamp: { $gt: date } },
+      { sort: { timestamp: 1, _id: 1 } }
+    )
+  ]);
+
+  if (!before || !after) return before || after;
+
+  const beforeGap = date - new Date(before.timestamp);
+  const afterGap = new Date(after.timestamp) - date;
+  return afterGap < beforeGap ? after : before;
+};
+
+// Opaque pagination cursor pointing just after a snapshot
+const encodeCursor = (snapshot) => {
+  const isObjectId = snapshot._id instanceof mongoose.Types.ObjectId;
+  return Buffer.from(JSON.stringify({
+    t: new Date(snapshot.timestamp).getTime(),
+    id: String(snapshot._id),
+    o: isObjectId ? 1 : 0
+  })).toString('base64url');
+};
+
+// Returns null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { t, id, o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Number.isFinite(t) || typeof id !== 'string') return null;
+    return {
+      timestamp: new Date(t),
+      _id: o ? new mongoose.Types.ObjectId(id) : id
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Page through snapshots in timestamp order.
+// Options: from/to (Dates), after (decoded cursor), limit.
+// Returns { snapshots, nextCursor } where nextCursor is null on the last page.
+const findSnapshots = async (matchId, { from, to, after, limit }) => {
+  const conditions = [];
+
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    conditions.push({ timestamp: range });
+  }
+
+  if (after) {
+    conditions.push({
+      $or: [
+        { timestamp: { $gt: after.timestamp } },
+        { timestamp: after.timestamp, _id: { $gt: after._id } }
+      ]
+    });
+  }
+
+  // Read one extra snapshot to know whether there is another page
+  const snapshots = await snapshotCollection(matchId)
+    .find(conditions.length ? { $and: conditions } : {})
+    .sort({ timestamp: 1, _id: 1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = snapshots.length > limit;
+  const page = hasMore ? snapshots.slice(0, limit) : snapshots;
+
+  return {
+    snapshots: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
+
+// Collections already given a timestamp index by this process
+const indexedCollections = new Set();
+
+// Insert snapshot documents into a match collection and refresh the cache
+const insertSnapshots = async (matchId, documents) => {
+  const collectionName = getCollectionName(matchId);
+  const collection = mongoose.connection.db.collection(collectionName);
+
+  if (!indexedCollections.has(collectionName)) {
+    await collection.createIndex({ timestamp: -1 });
+    indexedCollections.add(collectionName);
+  }
+
+  const result = await collection.insertMany(documents);
+  invalidateMatch(matchId);
+  return result;
+};
+
+// Drop cached data for a match, e.g. after writing a new snapshot
+const invalidateMatch = (matchId) => {
+  const collectionName = getCollectionName(matchId);
+  cache.snapshots.delete(collectionName);
+  if (cache.collections && !cache.collections.has(collectionName)) {
+    cache.collectionsExpireAt = 0;
+  }
+};
+
+const invalidateCollection = (collectionName) => {
+  cache.snapshots.delete(collectionName);
+  if (cache.collections && !cache.collections.has(collectionName)) {
+    cache.collections.add(collectionName);
+  }
+};
+
+// Invalidate cached snapshots as soon as match collections change.
+// Change streams need a replica set (MongoDB Atlas has one); without it
+// the cache falls back to its TTLs.
+const watchForChanges = () => {
+  if (changeStream) return;
+
+  try {
+    changeStream = mongoose.connection.db.watch([
+      { $match: { 'ns.coll': { $regex: '^match_' } } }
+    ]);
+  } catch (error) {
+    console.error('Match cache change stream unavailable:', error.message);
+    return;
+  }
+
+  changeStream.on('change', (change) => {
+    if (change.operationType === 'drop' || change.operationType === 'rename') {
+      cache.snapshots.delete(change.ns.coll);
+      cache.collectionsExpireAt = 0;
+      return;
+    }
+    invalidateCollection(change.ns.coll);
+  });
+
+  changeStream.on('error', (error) => {
+    console.error('Match cache change stream closed:', error.message);
+    changeStream.close().catch(() => {});
+    changeStream = null;
+  });
+};
+
+const getCacheStats = () => {
+  return {
+    collections: {
+      ...stats.collections,
+      size: cache.collections ? cache.collections.size : 0
+    },
+    snapshots: {
+      ...stats.snapshots,
+      size: cache.snapshots.size
+    },
+    changeStream: !!changeStream
+  };
+};
+
+module.exports = {
+  getCollectionName,
+  matchExists,
+  listMatchCollections,
+  describeMatchCollection,
+  getLatestSnapshot,
+  getSnapshotById,
+  getSnapshotBefore,
+  getPreviousSnapshot,
+  getNearestSnapshot,
+  findSnapshots,
+  decodeCursor,
+  insertSnapshots,
+  invalidateMatch,
+  watchForChanges,
+  getCacheStats
+};
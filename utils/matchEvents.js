@@ -0,0 +1,161 @@
+const MatchEvent = require('../models/MatchEvent');
+const EventCursor = require('../models/EventCursor');
+const { findSnapshots, getSnapshotById } = require('./matchData');
+const { indexTeams } = require('./snapshotDiff');
+const {
+  getRank,
+  getKills,
+  getAlive,
+  getPlayers,
+  getPlayerName,
+  getPlayerStatus
+} = require('./teamFields');
+
+// Snapshots read per batch while catching up
+const SYNC_BATCH_SIZE = 200;
+
+// matchId -> in-flight sync, so concurrent readers share one catch-up
+const syncing = new Map();
+
+// matchId -> last snapshot ID this process has derived events up to
+const syncedTo = new Map();
+
+const playerStatuses = (row) => {
+  const statuses = new Map();
+  getPlayers(row).forEach(player => {
+    const name = getPlayerName(player);
+    if (name !== undefined) statuses.set(name, getPlayerStatus(player));
+  });
+  return statuses;
+};
+
+// Events implied by the change from one snapshot of a match to the next
+const deriveEvents = (matchId, previous, current) => {
+  const events = [];
+  const previousTeams = indexTeams(previous);
+  const base = {
+    matchId,
+    snapshotId: current._id,
+    timestamp: current.timestamp
+  };
+
+  indexTeams(current).forEach((team, key) => {
+    const before = previousTeams.get(key);
+    if (!before) return;
+
+    const event = (type, from, to, player = null) => {
+      events.push({ ...base, type, team: key, teamName: team.teamName, player, from, to });
+    };
+
+    const aliveBefore = getAlive(before.TeamStats1);
+    const aliveAfter = getAlive(team.TeamStats1);
+    if (aliveBefore > 0 && aliveAfter === 0) {
+      event('team_eliminated', aliveBefore, aliveAfter);
+    }
+
+    const killsBefore = getKills(before.pointsTable) ?? getKills(before.TeamStats1);
+    const killsAfter = getKills(team.pointsTable) ?? getKills(team.TeamStats1);
+    if (killsBefore !== undefined && killsAfter > killsBefore) {
+      event('kills', killsBefore, killsAfter);
+    }
+
+    const rankBefore = getRank(before.pointsTable);
+    const rankAfter = getRank(team.pointsTable);
+    if (rankBefore !== undefined && rankAfter !== undefined && rankBefore !== rankAfter) {
+      event('rank_change', rankBefore, rankAfter);
+    }
+
+    const playersBefore = playerStatuses(before.TeamStats1);
+    playerStatuses(team.TeamStats1).forEach((status, player) => {
+      const previousStatus = playersBefore.get(player);
+      if (!previousStatus || previousStatus === status) return;
+
+      if (status === 'knocked') {
+        event('player_knocked', previousStatus, status, player);
+      } else if (status === 'dead') {
+        event('player_eliminated', previousStatus, status, player);
+      }
+    });
+  });
+
+  return events;
+};
+
+const insertEvents = async (events) => {
+  if (!events.length) return;
+
+  try {
+    await MatchEvent.insertMany(events, { ordered: false });
+  } catch (error) {
+    // Another process derived some of the same events first
+    const duplicatesOnly = error.writeErrors && error.writeErrors.every(writeError => writeError.code === 11000);
+    if (error.code !== 11000 && !duplicatesOnly) throw error;
+  }
+};
+
+const runSync = async (matchId) => {
+  const cursor = await EventCursor.findOne({ matchId });
+  let previous = cursor ? await getSnapshotById(matchId, cursor.lastSnapshotId) : null;
+  let after = cursor ? { timestamp: cursor.lastTimestamp, _id: cursor.lastSnapshotId } : undefined;
+
+  for (;;) {
+    const { snapshots, nextCursor } = await findSnapshots(matchId, { after, limit: SYNC_BATCH_SIZE });
+    if (!snapshots.length) break;
+
+    const events = [];
+    snapshots.forEach(snapshot => {
+      if (previous) events.push(...deriveEvents(matchId, previous, snapshot));
+      previous = snapshot;
+    });
+    await insertEvents(events);
+
+    after = { timestamp: previous.timestamp, _id: previous._id };
+    await EventCursor.updateOne(
+      { matchId },
+      { lastSnapshotId: previous._id, lastTimestamp: previous.timestamp },
+      { upsert: true }
+    );
+
+    if (!nextCursor) break;
+  }
+
+  if (previous) syncedTo.set(matchId, String(previous._id));
+};
+
+// Derive events from every snapshot added to a match since the last sync.
+// Pass the latest snapshot ID to skip the database when already up to date.
+const syncMatchEvents = async (matchId, latestSnapshotId) => {
+  const key = String(matchId).trim();
+  if (latestSnapshotId !== undefined && syncedTo.get(key) === String(latestSnapshotId)) {
+    return;
+  }
+
+  if (!syncing.has(key)) {
+    syncing.set(key, runSync(key).finally(() => syncing.delete(key)));
+  }
+  return syncing.get(key);
+};
+
+// Most recent events for a match, newest first.
+// Options: limit, types (list of event types), since/until (Dates).
+const getMatchEvents = async (matchId, { limit, types, since, until } = {}) => {
+  const query = { matchId: String(matchId).trim() };
+  if (types && types.length) query.type = { $in: types };
+  if (since || until) {
+    query.timestamp = {};
+    if (since) query.timestamp.$gte = since;
+    if (until) query.timestamp.$lte = until;
+  }
+
+  return MatchEvent.find(query)
+    .sort({ timestamp: -1, _id: -1 })
+    .limit(limit)
+    .select('-__v -createdAt -updatedAt')
+    .lean();
+};
+
+module.exports = {
+  deriveEvents,
+  syncMatchEvents,
+  getMatchEvents
+};
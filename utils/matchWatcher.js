@@ -0,0 +1,73 @@
+const { matchExists, getLatestSnapshot } = require('./matchData');
+
+// How often a watched match collection is polled for a new latest snapshot
+const POLL_INTERVAL_MS = parseInt(process.env.STREAM_POLL_INTERVAL_MS, 10) || 1000;
+
+// matchId -> { listeners, timer, lastSnapshotId, polling }
+const watchers = new Map();
+
+const poll = async (matchId, watcher) => {
+  // Skip a tick if the previous poll is still waiting on the database
+  if (watcher.polling) return;
+  watcher.polling = true;
+
+  try {
+    if (!(await matchExists(matchId))) return;
+
+    const snapshot = await getLatestSnapshot(matchId, { fresh: true });
+    if (!snapshot) return;
+
+    const snapshotId = String(snapshot._id);
+    if (snapshotId === watcher.lastSnapshotId) return;
+    watcher.lastSnapshotId = snapshotId;
+
+    watcher.listeners.forEach(listener => listener(snapshot));
+  } catch (error) {
+    console.error(`Error polling match ${matchId}:`, error.message);
+  } finally {
+    watcher.polling = false;
+  }
+};
+
+// Call `listener(snapshot)` whenever a new latest snapshot lands for a match,
+// or `listener(null)` when its served data changes without one (see notifyMatchChange).
+// Matches are polled once no matter how many listeners they have, and only
+// while someone is listening. Returns a function that stops listening.
+const watchMatch = (matchId, listener) => {
+  const key = String(matchId).trim();
+  let watcher = watchers.get(key);
+
+  if (!watcher) {
+    watcher = {
+      listeners: new Set(),
+      timer: null,
+      lastSnapshotId: null,
+      polling: false
+    };
+    watcher.timer = setInterval(() => poll(key, watcher), POLL_INTERVAL_MS);
+    watchers.set(key, watcher);
+  }
+
+  watcher.listeners.add(listener);
+
+  return () => {
+    watcher.listeners.delete(listener);
+    if (watcher.listeners.size === 0) {
+      clearInterval(watcher.timer);
+      watchers.delete(key);
+    }
+  };
+};
+
+// Tell a match's listeners in this process that its data changed without a
+// new snapshot, e.g. when an operator override is set or cleared
+const notifyMatchChange = (matchId) => {
+  const watcher = watchers.get(String(matchId).trim());
+  if (!watcher) return;
+  watcher.listeners.forEach(listener => listener(null));
+};
+
+module.exports = {
+  watchMatch,
+  notifyMatchChange
+};
@@ -0,0 +1,203 @@
+const MatchOverride = require('../models/MatchOverride');
+const { notifyMatchChange } = require('./matchWatcher');
+const {
+  TEAM_NAME_KEYS,
+  RANK_KEYS,
+  POINTS_KEYS,
+  ALIVE_KEYS,
+  PLAYER_LIST_KEYS,
+  pickField,
+  getTeamKey,
+  getTeamName,
+  getRank,
+  getPoints,
+  getAlive,
+  sortByRank
+} = require('./teamFields');
+
+// How long a match's overrides are reused before being read again
+const OVERRIDES_TTL_MS = parseInt(process.env.OVERRIDES_CACHE_TTL_MS, 10) || 2000;
+
+const TEAM_NAME_MAX_LENGTH = 100;
+
+// userId:matchId -> { overrides, expiresAt }
+const cache = new Map();
+
+// What reads without a user get: overrides only apply to their owner's data
+const NO_OVERRIDES = { list: [], version: '' };
+
+const cacheKey = (matchId, userId) => `${userId}:${String(matchId).trim()}`;
+
+const normalizeKey = (key) => String(key).trim().toLowerCase();
+
+// Check the action-specific value of an override sent by a user.
+// Returns { value } or { error }.
+const validateOverrideValue = (action, value) => {
+  if (action === 'rename') {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || name.length > TEAM_NAME_MAX_LENGTH) {
+      return { error: `rename needs a team name of 1 to ${TEAM_NAME_MAX_LENGTH} characters as value` };
+    }
+    return { value: name };
+  }
+
+  if (action === 'adjust_points') {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value === 0) {
+      return { error: 'adjust_points needs a non-zero number of points as value' };
+    }
+    return { value };
+  }
+
+  // eliminate and hide take no value
+  return { value: null };
+};
+
+// A user's active overrides for a match in the order they were set, as
+// { list, version }. `version` changes whenever one is set or cleared.
+const loadOverrides = async (matchId, userId) => {
+  if (!userId) return NO_OVERRIDES;
+
+  const key = cacheKey(matchId, userId);
+  const cached = cache.get(key);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.overrides;
+  }
+
+  const list = await MatchOverride.find({ userId, matchId: String(matchId).trim(), clearedAt: null })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  const overrides = {
+    list,
+    version: list.map(override => String(override._id)).join(',')
+  };
+
+  cache.set(key, { overrides, expiresAt: Date.now() + OVERRIDES_TTL_MS });
+  return overrides;
+};
+
+// Drop a user's cached overrides for a match after they change and tell open streams
+const overridesChanged = (matchId, userId) => {
+  cache.delete(cacheKey(matchId, userId));
+  notifyMatchChange(matchId);
+};
+
+// Overrides for a team row, matched on the feed's team ID or name
+const findRowOverrides = (list, row) => {
+  const keys = [getTeamKey(row), getTeamName(row)]
+    .filter(key => key !== undefined)
+    .map(normalizeKey);
+  return list.filter(override => keys.includes(normalizeKey(override.team)));
+};
+
+// Key a row keeps a field under: the first candidate present, else the first candidate
+const fieldKey = (row, keys) => {
+  return keys.find(key => row[key] !== undefined && row[key] !== null) || keys[0];
+};
+
+const markOverridden = (row, field) => {
+  row.overridden = [...new Set([...(row.overridden || []), field])];
+};
+
+// Copy of a team row with its overrides applied, listing the changed fields in
+// `overridden`. Returns null for hidden teams and the row itself when nothing applies.
+// Points and alive counts are only added to TeamStats1 / pointsTable rows that report them.
+const overrideRow = (row, overrides, table) => {
+  if (!overrides.length) return row;
+  if (overrides.some(override => override.action === 'hide')) return null;
+
+  const result = { ...row };
+
+  overrides.forEach(override => {
+    if (override.action === 'rename') {
+      const key = fieldKey(row, TEAM_NAME_KEYS);
+      result[key] = override.value;
+      markOverridden(result, key);
+    }
+
+    if (override.action === 'adjust_points' && (table === 'pointsTable' || getPoints(row) !== undefined)) {
+      const key = fieldKey(row, POINTS_KEYS);
+      result[key] = (getPoints(result) || 0) + override.value;
+      markOverridden(result, key);
+    }
+
+    if (override.action === 'eliminate') {
+      if (table === 'TeamStats1' || getAlive(row) !== undefined) {
+        const key = fieldKey(row, ALIVE_KEYS);
+        result[key] = 0;
+        markOverridden(result, key);
+      }
+
+      const players = pickField(row, PLAYER_LIST_KEYS);
+      if (Array.isArray(players)) {
+        const key = fieldKey(row, PLAYER_LIST_KEYS);
+        result[key] = players.map(player => ({ ...player, status: 'dead' }));
+        markOverridden(result, key);
+      }
+
+      result.eliminated = true;
+      markOverridden(result, 'eliminated');
+    }
+  });
+
+  return result.overridden ? result : row;
+};
+
+// Re-rank a points table after points were adjusted or teams hidden. Teams
+// keep their feed order on equal points; tables without ranks are left unranked.
+const rerankPointsTable = (rows, pointsChanged) => {
+  if (!rows.some(row => getRank(row) !== undefined)) return rows;
+
+  const ordered = sortByRank(rows);
+  if (pointsChanged) {
+    ordered.sort((a, b) => (getPoints(b) || 0) - (getPoints(a) || 0));
+  }
+
+  return ordered.map((row, index) => {
+    const key = fieldKey(row, RANK_KEYS);
+    if (row[key] === index + 1) return row;
+
+    const result = { ...row, [key]: index + 1 };
+    markOverridden(result, key);
+    return result;
+  });
+};
+
+// Apply a match's overrides to a snapshot: { snapshot, overridden }. The
+// snapshot is a copy whose changed pointsTable and TeamStats1 rows list their
+// changed fields in `overridden`; `overridden` is true when any row changed.
+const overrideSnapshot = (snapshot, overrides) => {
+  if (!snapshot || !overrides || !overrides.list.length) {
+    return { snapshot, overridden: false };
+  }
+
+  const result = { ...snapshot };
+  let overridden = false;
+
+  ['pointsTable', 'TeamStats1'].forEach(table => {
+    if (!Array.isArray(snapshot[table])) return;
+
+    let rows = snapshot[table]
+      .map(row => overrideRow(row, findRowOverrides(overrides.list, row), table))
+      .filter(Boolean);
+
+    const hidden = rows.length < snapshot[table].length;
+    const pointsChanged = rows.some(row => row.overridden && row.overridden.some(key => POINTS_KEYS.includes(key)));
+    if (table === 'pointsTable' && (hidden || pointsChanged)) {
+      rows = rerankPointsTable(rows, pointsChanged);
+    }
+
+    if (hidden || rows.some((row, index) => row !== snapshot[table][index])) {
+      overridden = true;
+    }
+    result[table] = rows;
+  });
+
+  return { snapshot: result, overridden };
+};
+
+module.exports = {
+  validateOverrideValue,
+  loadOverrides,
+  overridesChanged,
+  overrideSnapshot
+};
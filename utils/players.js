@@ -0,0 +1,113 @@
+const { indexTeams } = require('./snapshotDiff');
+const { parseLimit } = require('./queryParams');
+const {
+  getPlayers,
+  getPlayerName,
+  getKills,
+  getDamage,
+  getKnocks,
+  getPlayerStatus
+} = require('./teamFields');
+
+// Stats a player leaderboard can be ordered by (highest first)
+const PLAYER_SORT_FIELDS = ['kills', 'damage', 'knocks'];
+const DEFAULT_PLAYER_SORT = 'kills';
+
+const PLAYERS_DEFAULT_LIMIT = 10;
+const PLAYERS_MAX_LIMIT = 100;
+
+// Every player in a snapshot with their team and stats. Players come from
+// TeamStats1 rows, or pointsTable rows when those carry the player list.
+const extractPlayers = (snapshot) => {
+  const players = [];
+
+  indexTeams(snapshot).forEach((team, teamKey) => {
+    const teamPlayers = getPlayers(team.TeamStats1).length
+      ? getPlayers(team.TeamStats1)
+      : getPlayers(team.pointsTable);
+
+    teamPlayers.forEach(player => {
+      const playerName = getPlayerName(player);
+      if (playerName === undefined) return;
+
+      players.push({
+        playerName,
+        teamKey,
+        teamName: team.teamName ?? null,
+        kills: getKills(player) ?? 0,
+        damage: getDamage(player) ?? 0,
+        knocks: getKnocks(player) ?? 0,
+        status: getPlayerStatus(player) ?? null
+      });
+    });
+  });
+
+  return players;
+};
+
+// Sum player stats across snapshots given in play order (null entries are
+// skipped). Players are matched by team and name; status comes from the
+// latest match they appear in.
+const aggregatePlayers = (snapshots) => {
+  const totals = new Map();
+
+  snapshots.filter(Boolean).forEach(snapshot => {
+    extractPlayers(snapshot).forEach(player => {
+      const key = `${player.teamKey}\u0000${player.playerName}`;
+      const total = totals.get(key) || { ...player, kills: 0, damage: 0, knocks: 0, matchesPlayed: 0 };
+
+      total.teamName = player.teamName ?? total.teamName;
+      total.kills += player.kills;
+      total.damage += player.damage;
+      total.knocks += player.knocks;
+      total.status = player.status;
+      total.matchesPlayed += 1;
+      totals.set(key, total);
+    });
+  });
+
+  return [...totals.values()];
+};
+
+// Order players by `sortBy`, then the remaining stats, then name, and number
+// them from 1. Only the first `limit` players are returned.
+const rankPlayers = (players, { sortBy = DEFAULT_PLAYER_SORT, limit = PLAYERS_DEFAULT_LIMIT } = {}) => {
+  const order = [sortBy, ...PLAYER_SORT_FIELDS.filter(field => field !== sortBy)];
+
+  return [...players]
+    .sort((a, b) => {
+      for (const field of order) {
+        const difference = b[field] - a[field];
+        if (difference) return difference;
+      }
+      return a.playerName.localeCompare(b.playerName);
+    })
+    .slice(0, limit)
+    .map((player, index) => ({ rank: index + 1, ...player }));
+};
+
+// Read ?sortBy= and ?limit= for leaderboard endpoints.
+// Returns { sortBy, limit } or { error }.
+const parsePlayerQuery = (query) => {
+  const sortBy = query.sortBy ? String(query.sortBy) : DEFAULT_PLAYER_SORT;
+  if (!PLAYER_SORT_FIELDS.includes(sortBy)) {
+    return { error: `Invalid sortBy. Use: ${PLAYER_SORT_FIELDS.join(', ')}` };
+  }
+
+  const limit = parseLimit(query.limit, PLAYERS_DEFAULT_LIMIT, PLAYERS_MAX_LIMIT);
+  if (limit === null) {
+    return { error: 'limit must be a positive integer' };
+  }
+
+  return { sortBy, limit };
+};
+
+module.exports = {
+  PLAYER_SORT_FIELDS,
+  DEFAULT_PLAYER_SORT,
+  PLAYERS_DEFAULT_LIMIT,
+  extractPlayers,
+  aggregatePlayers,
+  rankPlayers,
+  parsePlayerQuery
+};
@@ -0,0 +1,98 @@
+// Types that project a single match snapshot
+const SNAPSHOT_TYPES = ['full', 'alive_status', 'points_table'];
+
+// Most fields a custom link may select
+const MAX_CUSTOM_FIELDS = 50;
+
+const PATH_PATTERN = /^[A-Za-z0-9_$-]+(\.[A-Za-z0-9_$-]+)*$/;
+const ALIAS_PATTERN = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Read a dot-separated path. Numeric segments index arrays; other segments
+// are applied to every element, so `pointsTable.teamName` lists all names.
+const readPath = (value, segments) => {
+  if (!segments.length || value === null || value === undefined) return value;
+
+  const [segment, ...rest] = segments;
+  if (Array.isArray(value) && !/^\d+$/.test(segment)) {
+    return value.map(item => readPath(item, segments));
+  }
+  if (typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+    return undefined;
+  }
+  return readPath(value[segment], rest);
+};
+
+// Validate the field list of a custom link: [{ path, as }]. Returns a list
+// of error messages (empty when valid).
+const validateFields = (fields) => {
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_CUSTOM_FIELDS) {
+    return [`fields must be an array of 1 to ${MAX_CUSTOM_FIELDS} field paths`];
+  }
+
+  const errors = [];
+  const keys = new Set();
+  fields.forEach((field, index) => {
+    const label = `fields[${index}]`;
+    if (!field || typeof field.path !== 'string' || !PATH_PATTERN.test(field.path) ||
+        field.path.split('.').some(segment => RESERVED_KEYS.includes(segment))) {
+      errors.push(`${label}.path must be a dot-separated field path`);
+      return;
+    }
+    if (field.as !== undefined && (typeof field.as !== 'string' || !ALIAS_PATTERN.test(field.as) ||
+        RESERVED_KEYS.includes(field.as))) {
+      errors.push(`${label}.as must start with a letter or underscore and use only letters, digits, _ or -`);
+      return;
+    }
+
+    const key = field.as || field.path;
+    if (keys.has(key)) {
+      errors.push(`${label} repeats the output key ${key}`);
+    }
+    keys.add(key);
+  });
+
+  return errors;
+};
+
+// Pick the configured fields of a snapshot, keyed by alias (or path).
+// Missing fields are null so the payload keeps the same keys.
+const projectFields = (snapshot, fields) => {
+  const result = {};
+  fields.forEach(({ path, as }) => {
+    const value = readPath(snapshot, path.split('.'));
+    result[as || path] = value === undefined ? null : value;
+  });
+  return result;
+};
+
+// Extract the part of a match snapshot exposed by each link/query type
+const projectSnapshot = (snapshot, type) => {
+  if (type === 'points_table') {
+    return {
+      pointsTable: snapshot.pointsTable || [],
+      matchSummary: snapshot.MatchSummary1 || {}
+    };
+  }
+
+  if (type === 'alive_status') {
+    return {
+      teamStats: snapshot.TeamStats1 || [],
+      matchSummary: snapshot.MatchSummary1 || {}
+    };
+  }
+
+  if (type === 'full') {
+    return snapshot;
+  }
+
+  return {};
+};
+
+module.exports = {
+  SNAPSHOT_TYPES,
+  MAX_CUSTOM_FIELDS,
+  validateFields,
+  projectFields,
+  projectSnapshot
+};
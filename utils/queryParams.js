@@ -0,0 +1,28 @@
+// Parsing helpers for query string parameters
+
+// Parse an ISO date or epoch milliseconds. Returns undefined when absent and
+// null when present but invalid.
+const parseTimestamp = (value) => {
+  if (value === undefined || value === '') return undefined;
+
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse a positive integer limit, clamped to `max`. Returns null when invalid.
+const parseLimit = (value, defaultLimit, max) => {
+  if (value === undefined || value === '') return defaultLimit;
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, max);
+};
+
+// Parse a 1-based page number. Returns null when invalid.
+const parsePage = (value) => parseLimit(value, 1, Number.MAX_SAFE_INTEGER);
+
+module.exports = {
+  parseTimestamp,
+  parseLimit,
+  parsePage
+};
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const ScoringRule = require('../models/ScoringRule');
+const {
+  POINTS_KEYS,
+  RANK_KEYS,
+  KILLS_KEYS,
+  PLACEMENT_KEYS,
+  PLAYER_LIST_KEYS,
+  getTeamKey,
+  getPlacement,
+  getKills,
+  getPlayers
+} = require('./teamFields');
+
+// Feed keys dropped from rescored rows so stale points, ranks and kills don't
+// sit next to the recomputed ones
+const REPLACED_KEYS = new Set([...POINTS_KEYS, ...RANK_KEYS, ...KILLS_KEYS, ...PLACEMENT_KEYS, ...PLAYER_LIST_KEYS]);
+
+const loadScoringRule = async (scoringRuleId) => {
+  if (!scoringRuleId) return null;
+  return ScoringRule.findById(scoringRuleId).lean();
+};
+
+// Check a scoringRuleId sent by a user. null detaches the rule.
+// Returns { scoringRuleId } or { error }.
+const resolveScoringRuleId = async (userId, value) => {
+  if (value === null) return { scoringRuleId: null };
+
+  const owned = mongoose.isValidObjectId(value) && await ScoringRule.exists({ _id: value, userId });
+  if (!owned) {
+    return { error: 'Scoring rule not found' };
+  }
+  return { scoringRuleId: value };
+};
+
+// Version part for a rule, so editing it changes ETags and stream revisions
+const scoringRuleVersion = (scoringRule) => {
+  return scoringRule ? `${scoringRule._id}:${new Date(scoringRule.updatedAt).getTime()}` : '';
+};
+
+// Raw placement and kills for each team in a snapshot, merged from pointsTable
+// and TeamStats1. Kills fall back to the sum of the team's player kills.
+const teamResults = (snapshot) => {
+  const teams = new Map();
+
+  [...(snapshot.pointsTable || []), ...(snapshot.TeamStats1 || [])].forEach(row => {
+    const key = getTeamKey(row);
+    if (key === undefined) return;
+
+    const team = teams.get(key) || { row, placement: null, kills: null };
+    team.placement = team.placement ?? getPlacement(row) ?? null;
+    team.kills = team.kills ?? getKills(row) ?? null;
+
+    const players = getPlayers(row);
+    if (team.kills === null && players.length) {
+      team.kills = players.reduce((sum, player) => sum + (getKills(player) || 0), 0);
+    }
+    teams.set(key, team);
+  });
+
+  return [...teams.values()];
+};
+
+const bonusApplies = (bonus, team, mostKills) => {
+  switch (bonus.condition) {
+    case 'rank_at_most':
+      return team.placement !== null && team.placement <= bonus.value;
+    case 'kills_at_least':
+      return (team.kills || 0) >= bonus.value;
+    case 'most_kills':
+      return mostKills > 0 && team.kills === mostKills;
+    default:
+      return false;
+  }
+};
+
+// Points breakdown for one team: { placementPoints, killPoints, bonusPoints, points }
+const scoreTeam = (scoringRule, team, mostKills) => {
+  const placementPoints = team.placement ? (scoringRule.placementPoints[team.placement - 1] || 0) : 0;
+
+  let killPoints = (team.kills || 0) * scoringRule.killPoints;
+  if (scoringRule.maxKillPoints !== null && scoringRule.maxKillPoints !== undefined) {
+    killPoints = Math.min(killPoints, scoringRule.maxKillPoints);
+  }
+
+  const bonusPoints = (scoringRule.bonuses || [])
+    .filter(bonus => bonusApplies(bonus, team, mostKills))
+    .reduce((sum, bonus) => sum + bonus.points, 0);
+
+  let points = placementPoints + killPoints + bonusPoints;
+  if (scoringRule.maxMatchPoints !== null && scoringRule.maxMatchPoints !== undefined) {
+    points = Math.min(points, scoringRule.maxMatchPoints);
+  }
+
+  return { placementPoints, killPoints, bonusPoints, points };
+};
+
+// Recompute a snapshot's pointsTable with a scoring rule. Teams are ranked by
+// points, then placement, then kills. Returns the snapshot unchanged when
+// there is no rule or no team data.
+const applyScoringRule = (snapshot, scoringRule) => {
+  if (!scoringRule || !snapshot) return snapshot;
+
+  const teams = teamResults(snapshot);
+  if (!teams.length) return snapshot;
+
+  const mostKills = Math.max(...teams.map(team => team.kills || 0));
+
+  const rows = teams.map(team => {
+    const base = Object.fromEntries(Object.entries(team.row).filter(([key]) => !REPLACED_KEYS.has(key)));
+    return {
+      ...base,
+      placement: team.placement,
+      kills: team.kills,
+      ...scoreTeam(scoringRule, team, mostKills)
+    };
+  });
+
+  rows.sort((a, b) => {
+    return b.points - a.points ||
+      (a.placement ?? Infinity) - (b.placement ?? Infinity) ||
+      (b.kills || 0) - (a.kills || 0);
+  });
+
+  return {
+    ...snapshot,
+    pointsTable: rows.map((row, index) => ({ rank: index + 1, ...row }))
+  };
+};
+
+module.exports = {
+  loadScoringRule,
+  resolveScoringRuleId,
+  scoringRuleVersion,
+  applyScoringRule
+};
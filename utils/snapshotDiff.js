@@ -0,0 +1,105 @@
+const { flattenObject } = require('./formatters');
+const {
+  getTeamKey,
+  getTeamName,
+  getRank,
+  getPoints,
+  getKills,
+  getAlive
+} = require('./teamFields');
+
+// Team metrics compared between snapshots, and the table each is read from
+const TEAM_METRICS = {
+  points: { table: 'pointsTable', read: getPoints },
+  kills: { table: 'pointsTable', read: getKills },
+  rank: { table: 'pointsTable', read: getRank },
+  alive: { table: 'TeamStats1', read: getAlive }
+};
+
+// team key -> { teamName, pointsTable row, TeamStats1 row }
+const indexTeams = (snapshot) => {
+  const teams = new Map();
+
+  ['pointsTable', 'TeamStats1'].forEach(table => {
+    (Array.isArray(snapshot[table]) ? snapshot[table] : []).forEach(row => {
+      const key = getTeamKey(row);
+      if (key === undefined) return;
+
+      const team = teams.get(key) || { teamName: getTeamName(row) };
+      team[table] = row;
+      teams.set(key, team);
+    });
+  });
+
+  return teams;
+};
+
+// Metric values for one team, ignoring metrics its rows do not report
+const teamMetrics = (team) => {
+  const metrics = {};
+  Object.entries(TEAM_METRICS).forEach(([name, { table, read }]) => {
+    const value = read(team[table]);
+    if (value !== undefined) metrics[name] = value;
+  });
+  return metrics;
+};
+
+// Structured changes between two snapshots of the same match:
+// teams added, removed or with changed points/kills/rank/alive, and
+// MatchSummary1 fields that changed.
+const diffSnapshots = (fromSnapshot, toSnapshot) => {
+  const fromTeams = indexTeams(fromSnapshot);
+  const toTeams = indexTeams(toSnapshot);
+
+  const changed = [];
+  const added = [];
+  const removed = [];
+
+  toTeams.forEach((team, key) => {
+    const previous = fromTeams.get(key);
+    if (!previous) {
+      added.push({ team: key, teamName: team.teamName, ...teamMetrics(team) });
+      return;
+    }
+
+    const before = teamMetrics(previous);
+    const after = teamMetrics(team);
+    const changes = {};
+
+    Object.keys(TEAM_METRICS).forEach(name => {
+      if (before[name] === after[name]) return;
+      // A metric whose row left one of the snapshots is null on that side
+      changes[name] = { from: before[name] ?? null, to: after[name] ?? null };
+      if (before[name] !== undefined && after[name] !== undefined) {
+        changes[name].delta = after[name] - before[name];
+      }
+    });
+
+    if (Object.keys(changes).length) {
+      changed.push({ team: key, teamName: team.teamName, changes });
+    }
+  });
+
+  fromTeams.forEach((team, key) => {
+    if (!toTeams.has(key)) {
+      removed.push({ team: key, teamName: team.teamName, ...teamMetrics(team) });
+    }
+  });
+
+  const fromSummary = flattenObject(fromSnapshot.MatchSummary1 || {});
+  const toSummary = flattenObject(toSnapshot.MatchSummary1 || {});
+  const summary = [...new Set([...Object.keys(fromSummary), ...Object.keys(toSummary)])]
+    .filter(field => String(fromSummary[field]) !== String(toSummary[field]))
+    .map(field => ({ field, from: fromSummary[field] ?? null, to: toSummary[field] ?? null }));
+
+  return {
+    teams: { changed, added, removed },
+    summary
+  };
+};
+
+module.exports = {
+  TEAM_METRICS,
+  indexTeams,
+  diffSnapshots
+};
@@ -0,0 +1,96 @@
+const {
+  getTeamKey,
+  RANK_KEYS,
+  POINTS_KEYS,
+  KILLS_KEYS,
+  ALIVE_KEYS
+} = require('./teamFields');
+
+// Largest number of snapshots accepted in one ingestion request
+const MAX_BATCH_SIZE = 100;
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+// Known numeric row fields must be non-negative numbers when present
+const validateNumbers = (row, keys, label, errors) => {
+  keys.forEach(key => {
+    if (row[key] === undefined || row[key] === null) return;
+    if (typeof row[key] !== 'number' || !Number.isFinite(row[key]) || row[key] < 0) {
+      errors.push(`${label}.${key} must be a non-negative number`);
+    }
+  });
+};
+
+const validateTeamRows = (rows, name, numericKeys, errors) => {
+  if (!Array.isArray(rows)) {
+    errors.push(`${name} must be an array`);
+    return;
+  }
+
+  rows.forEach((row, index) => {
+    const label = `${name}[${index}]`;
+    if (!isPlainObject(row)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (getTeamKey(row) === undefined) {
+      errors.push(`${label} must have a team name or team ID`);
+    }
+    validateNumbers(row, numericKeys, label, errors);
+  });
+};
+
+// Validate one snapshot payload. Returns a list of error messages (empty when valid).
+const validateSnapshot = (snapshot) => {
+  const errors = [];
+
+  if (!isPlainObject(snapshot)) {
+    return ['Snapshot must be an object'];
+  }
+
+  if (snapshot.pointsTable === undefined &&
+      snapshot.TeamStats1 === undefined &&
+      snapshot.MatchSummary1 === undefined) {
+    errors.push('Snapshot must include pointsTable, TeamStats1 or MatchSummary1');
+  }
+
+  if (snapshot.pointsTable !== undefined) {
+    validateTeamRows(snapshot.pointsTable, 'pointsTable', [...RANK_KEYS, ...POINTS_KEYS, ...KILLS_KEYS], errors);
+  }
+
+  if (snapshot.TeamStats1 !== undefined) {
+    validateTeamRows(snapshot.TeamStats1, 'TeamStats1', [...RANK_KEYS, ...KILLS_KEYS, ...ALIVE_KEYS], errors);
+  }
+
+  if (snapshot.MatchSummary1 !== undefined && !isPlainObject(snapshot.MatchSummary1)) {
+    errors.push('MatchSummary1 must be an object');
+  }
+
+  if (snapshot.timestamp !== undefined && Number.isNaN(new Date(snapshot.timestamp).getTime())) {
+    errors.push('timestamp must be a valid date');
+  }
+
+  return errors;
+};
+
+// Build the document stored for a validated snapshot. The server owns
+// `matchId` and `_id`; `timestamp` defaults to `defaultTimestamp`.
+const toSnapshotDocument = (snapshot, matchId, defaultTimestamp) => {
+  const document = { ...snapshot };
+  delete document._id;
+
+  document.matchId = matchId;
+  document.timestamp = snapshot.timestamp === undefined
+    ? defaultTimestamp
+    : new Date(snapshot.timestamp);
+
+  return document;
+};
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  validateSnapshot,
+  toSnapshotDocument
+};
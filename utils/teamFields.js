@@ -0,0 +1,117 @@
+// Field lookups for team rows in pointsTable / TeamStats1.
+// The game feed is not consistent about key names, so each field is read
+// from the first candidate key present on the row.
+const TEAM_NAME_KEYS = ['teamName', 'TeamName', 'team_name', 'team', 'name'];
+const TEAM_ID_KEYS = ['teamId', 'TeamId', 'team_id', 'teamNo', 'slot'];
+const RANK_KEYS = ['rank', 'Rank', 'position', 'placement'];
+const POINTS_KEYS = ['points', 'Points', 'totalPoints', 'total'];
+const KILLS_KEYS = ['kills', 'Kills', 'killCount', 'eliminations'];
+// Finishing place in a single match; falls back to the row's rank
+const PLACEMENT_KEYS = ['placement', 'Placement', 'finishPosition', 'position', 'rank', 'Rank'];
+const ALIVE_KEYS = ['alive', 'aliveCount', 'playersAlive', 'liveMemberNum'];
+
+// Player rows nested in TeamStats1 team rows
+const PLAYER_LIST_KEYS = ['players', 'Players', 'playerStats', 'members'];
+const PLAYER_NAME_KEYS = ['playerName', 'PlayerName', 'name', 'nickname', 'playerId'];
+const DAMAGE_KEYS = ['damage', 'Damage', 'totalDamage', 'damageDealt'];
+const KNOCKS_KEYS = ['knocks', 'Knocks', 'knockouts', 'knockdowns'];
+
+const pickField = (row, keys) => {
+  if (!row || typeof row !== 'object') return undefined;
+  const key = keys.find(candidate => row[candidate] !== undefined && row[candidate] !== null);
+  return key === undefined ? undefined : row[key];
+};
+
+const pickNumber = (row, keys) => {
+  const value = Number(pickField(row, keys));
+  return Number.isFinite(value) ? value : undefined;
+};
+
+const getTeamName = (row) => {
+  const name = pickField(row, TEAM_NAME_KEYS);
+  return typeof name === 'object' ? undefined : name;
+};
+
+// Stable identifier for a team row: its in-game ID when present, else its name
+const getTeamKey = (row) => {
+  const key = pickField(row, TEAM_ID_KEYS);
+  const value = key === undefined ? getTeamName(row) : key;
+  return value === undefined ? undefined : String(value);
+};
+
+const getRank = (row) => pickNumber(row, RANK_KEYS);
+const getPoints = (row) => pickNumber(row, POINTS_KEYS);
+const getKills = (row) => pickNumber(row, KILLS_KEYS);
+const getPlacement = (row) => pickNumber(row, PLACEMENT_KEYS);
+const getAlive = (row) => pickNumber(row, ALIVE_KEYS);
+
+const getPlayers = (row) => {
+  const players = pickField(row, PLAYER_LIST_KEYS);
+  return Array.isArray(players) ? players : [];
+};
+
+const getPlayerName = (player) => {
+  const name = pickField(player, PLAYER_NAME_KEYS);
+  return name === undefined || typeof name === 'object' ? undefined : String(name);
+};
+
+const getDamage = (player) => pickNumber(player, DAMAGE_KEYS);
+const getKnocks = (player) => pickNumber(player, KNOCKS_KEYS);
+
+// 'alive', 'knocked' or 'dead' from whichever status fields the feed sends
+const getPlayerStatus = (player) => {
+  if (!player || typeof player !== 'object') return undefined;
+
+  if (typeof player.status === 'string') {
+    const status = player.status.toLowerCase();
+    if (['knocked', 'down', 'downed'].includes(status)) return 'knocked';
+    if (['dead', 'eliminated', 'killed'].includes(status)) return 'dead';
+    if (status === 'alive') return 'alive';
+  }
+
+  if (player.isKnocked === true || player.knocked === true) return 'knocked';
+  if (player.isDead === true || player.dead === true) return 'dead';
+  if (player.isAlive === false || player.alive === false) return 'dead';
+  if (player.isAlive === true || player.alive === true) return 'alive';
+  if (typeof player.health === 'number') return player.health > 0 ? 'alive' : 'dead';
+
+  return undefined;
+};
+
+// Copy of rows sorted by rank; rows without a rank keep their order at the end
+const sortByRank = (rows) => {
+  return rows
+    .map((row, index) => ({ row, index, rank: getRank(row) }))
+    .sort((a, b) => {
+      if (a.rank === undefined && b.rank === undefined) return a.index - b.index;
+      if (a.rank === undefined) return 1;
+      if (b.rank === undefined) return -1;
+      return a.rank - b.rank || a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
+
+module.exports = {
+  TEAM_NAME_KEYS,
+  TEAM_ID_KEYS,
+  RANK_KEYS,
+  POINTS_KEYS,
+  KILLS_KEYS,
+  PLACEMENT_KEYS,
+  ALIVE_KEYS,
+  PLAYER_LIST_KEYS,
+  pickField,
+  getTeamName,
+  getTeamKey,
+  getRank,
+  getPoints,
+  getKills,
+  getPlacement,
+  getAlive,
+  getPlayers,
+  getPlayerName,
+  getDamage,
+  getKnocks,
+  getPlayerStatus,
+  sortByRank
+};
@@ -0,0 +1,243 @@
+const { EventEmitter } = require('events');
+const Tournament = require('../models/Tournament');
+const { matchExists, getLatestSnapshot, getSnapshotBefore } = require('./matchData');
+const { watchMatch } = require('./matchWatcher');
+const { loadScoringRule, scoringRuleVersion, applyScoringRule } = require('./scoring');
+const { aggregatePlayers } = require('./players');
+const { loadOverrides, overrideSnapshot } = require('./overrides');
+const {
+  getTeamKey,
+  getTeamName,
+  getRank,
+  getPoints,
+  getKills
+} = require('./teamFields');
+
+// Lets open streams react when a tournament's matches change in this process
+const tournamentEvents = new EventEmitter();
+tournamentEvents.setMaxListeners(0);
+
+// Compare two standings rows on one tiebreaker; negative puts `a` first.
+// Missing ranks sort after every real rank.
+const TIEBREAK_COMPARATORS = {
+  points: (a, b) => b.points - a.points,
+  wins: (a, b) => b.wins - a.wins,
+  kills: (a, b) => b.kills - a.kills,
+  best_rank: (a, b) => (a.bestRank ?? Infinity) - (b.bestRank ?? Infinity),
+  avg_rank: (a, b) => (a.avgRank ?? Infinity) - (b.avgRank ?? Infinity),
+  last_match_rank: (a, b) => (a.lastMatchRank ?? Infinity) - (b.lastMatchRank ?? Infinity)
+};
+
+// Latest snapshot of every match in a tournament, in tournament order
+// (snapshot is null for matches without data yet), with the operator overrides
+// the tournament's owner set on the match. With `asOf`, the latest snapshot taken at or before that time.
+const loadTournamentMatches = async (tournament, asOf = null) => {
+  return Promise.all(tournament.matchIds.map(async (matchId) => {
+    if (!(await matchExists(matchId))) return { matchId, snapshot: null, overrides: null };
+
+    const [snapshot, overrides] = await Promise.all([
+      asOf ? getSnapshotBefore(matchId, asOf) : getLatestSnapshot(matchId),
+      loadOverrides(matchId, tournament.userId)
+    ]);
+    return { matchId, snapshot, overrides };
+  }));
+};
+
+// Apply each match's overrides to its snapshot, after `rescore` (if given) has
+// recomputed its points: { matches, overridden }
+const applyMatchOverrides = (matches, rescore = snapshot => snapshot) => {
+  let overridden = false;
+  const applied = matches.map(({ matchId, snapshot, overrides }) => {
+    const result = overrideSnapshot(rescore(snapshot), overrides);
+    overridden = overridden || result.overridden;
+    return { matchId, snapshot: result.snapshot, overrides };
+  });
+  return { matches: applied, overridden };
+};
+
+// Per-match result for each team in a snapshot: teamKey -> { teamName, rank, points, kills }.
+// Points and rank come from pointsTable; kills fall back to TeamStats1.
+const matchResults = (snapshot) => {
+  const results = new Map();
+  const rows = [...(snapshot.pointsTable || []), ...(snapshot.TeamStats1 || [])];
+
+  rows.forEach(row => {
+    const key = getTeamKey(row);
+    if (key === undefined) return;
+
+    const result = results.get(key) || { teamName: null, rank: null, points: null, kills: null };
+    result.teamName = result.teamName ?? getTeamName(row) ?? null;
+    result.rank = result.rank ?? getRank(row) ?? null;
+    result.points = result.points ?? getPoints(row) ?? null;
+    result.kills = result.kills ?? getKills(row) ?? null;
+    results.set(key, result);
+  });
+
+  return results;
+};
+
+// Cumulative standings across the loaded matches, ordered by the tiebreakers.
+// Each row lists the team's result in every tournament match (null when it
+// did not appear).
+const buildStandings = (matches, tiebreakers) => {
+  const teams = new Map();
+
+  matches.forEach(({ snapshot }, index) => {
+    if (!snapshot) return;
+
+    matchResults(snapshot).forEach((result, teamKey) => {
+      if (!teams.has(teamKey)) {
+        teams.set(teamKey, { teamKey, results: new Array(matches.length).fill(null) });
+      }
+      const team = teams.get(teamKey);
+      team.results[index] = result;
+      if (result.teamName !== null) team.teamName = result.teamName;
+    });
+  });
+
+  const standings = [...teams.values()].map(team => {
+    const played = team.results.filter(Boolean);
+    const ranks = played.map(result => result.rank).filter(rank => rank !== null);
+    const lastPlayed = played[played.length - 1];
+
+    return {
+      teamKey: team.teamKey,
+      teamName: team.teamName ?? null,
+      points: played.reduce((sum, result) => sum + (result.points || 0), 0),
+      kills: played.reduce((sum, result) => sum + (result.kills || 0), 0),
+      wins: ranks.filter(rank => rank === 1).length,
+      matchesPlayed: played.length,
+      bestRank: ranks.length ? Math.min(...ranks) : null,
+      avgRank: ranks.length ? Math.round((ranks.reduce((sum, rank) => sum + rank, 0) / ranks.length) * 100) / 100 : null,
+      lastMatchRank: lastPlayed ? lastPlayed.rank : null,
+      matches: team.results.map((result, index) => ({
+        matchId: matches[index].matchId,
+        rank: result ? result.rank : null,
+        points: result ? result.points : null,
+        kills: result ? result.kills : null
+      }))
+    };
+  });
+
+  const comparators = tiebreakers.map(tiebreaker => TIEBREAK_COMPARATORS[tiebreaker]).filter(Boolean);
+  standings.sort((a, b) => {
+    for (const compare of comparators) {
+      const order = compare(a, b);
+      if (order) return order;
+    }
+    return String(a.teamName ?? a.teamKey).localeCompare(String(b.teamName ?? b.teamKey));
+  });
+
+  return standings.map((row, index) => ({ rank: index + 1, ...row }));
+};
+
+// Time of the newest snapshot among the loaded matches (null when none has data)
+const latestTimestamp = (matches) => {
+  const timestamps = matches
+    .filter(({ snapshot }) => snapshot)
+    .map(({ snapshot }) => new Date(snapshot.timestamp).getTime());
+  return timestamps.length ? new Date(Math.max(...timestamps)) : null;
+};
+
+// Version parts covering the tournament's settings and its matches' latest snapshots and overrides
+const tournamentVersion = (tournament, matches) => {
+  return [
+    tournament._id,
+    new Date(tournament.updatedAt).getTime(),
+    ...matches.map(({ snapshot, overrides }) => {
+      return `${snapshot ? snapshot._id : ''}:${overrides ? overrides.version : ''}`;
+    })
+  ];
+};
+
+// Everything a tournament table serves:
+// { tournament, matches, standings, timestamp, overridden, version }.
+// Match points are recomputed with the scoring rule when one is set; it
+// defaults to the tournament's own rule. Operator overrides apply on top.
+// `asOf` limits matches to snapshots taken by that time.
+const resolveTournamentTable = async (tournament, scoringRuleId = tournament.scoringRuleId, { asOf = null } = {}) => {
+  const scoringRule = await loadScoringRule(scoringRuleId);
+  const { matches, overridden } = applyMatchOverrides(
+    await loadTournamentMatches(tournament, asOf),
+    snapshot => applyScoringRule(snapshot, scoringRule)
+  );
+  const standings = buildStandings(matches, tournament.tiebreakers);
+
+  return {
+    tournament: {
+      _id: tournament._id,
+      name: tournament.name,
+      matchIds: tournament.matchIds,
+      tiebreakers: tournament.tiebreakers,
+      scoringRule: scoringRule ? { _id: scoringRule._id, name: scoringRule.name } : null
+    },
+    matches: matches.map(({ matchId, snapshot }) => ({
+      matchId,
+      available: !!snapshot,
+      snapshotId: snapshot ? snapshot._id : null,
+      timestamp: snapshot ? snapshot.timestamp : null
+    })),
+    standings,
+    timestamp: latestTimestamp(matches),
+    overridden,
+    version: [...tournamentVersion(tournament, matches), scoringRuleVersion(scoringRule)]
+  };
+};
+
+// Player stats summed over every match in a tournament (unranked), with
+// operator overrides applied: { players, timestamp, overridden, version }.
+// `asOf` works as for resolveTournamentTable.
+const resolveTournamentPlayers = async (tournament, { asOf = null } = {}) => {
+  const { matches, overridden } = applyMatchOverrides(await loadTournamentMatches(tournament, asOf));
+
+  return {
+    players: aggregatePlayers(matches.map(({ snapshot }) => snapshot)),
+    timestamp: latestTimestamp(matches),
+    overridden,
+    version: tournamentVersion(tournament, matches)
+  };
+};
+
+// Tell open streams that a tournament changed (matches added, removed or reordered)
+const notifyTournamentChange = (tournamentId) => {
+  tournamentEvents.emit('change', String(tournamentId));
+};
+
+// Call `listener()` whenever a tournament changes or one of its matches gets a
+// new snapshot or override. Returns a function that stops listening.
+const watchTournament = (tournamentId, listener) => {
+  const id = String(tournamentId);
+  let stopMatches = [];
+  let stopped = false;
+
+  const watchMatches = async () => {
+    const tournament = await Tournament.findById(id).select('matchIds').lean();
+    if (stopped) return;
+
+    stopMatches.forEach(stop => stop());
+    stopMatches = (tournament ? tournament.matchIds : []).map(matchId => watchMatch(matchId, () => listener()));
+  };
+
+  const onChange = (changedId) => {
+    if (changedId !== id) return;
+    watchMatches().catch(error => console.error(`Error watching tournament ${id}:`, error.message));
+    listener();
+  };
+
+  tournamentEvents.on('change', onChange);
+  watchMatches().catch(error => console.error(`Error watching tournament ${id}:`, error.message));
+
+  return () => {
+    stopped = true;
+    tournamentEvents.off('change', onChange);
+    stopMatches.forEach(stop => stop());
+  };
+};
+
+module.exports = {
+  buildStandings,
+  resolveTournamentTable,
+  resolveTournamentPlayers,
+  notifyTournamentChange,
+  watchTournament
+};
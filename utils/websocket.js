@@ -0,0 +1,320 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const jwt = require('jsonwebtoken');
+const { resolveLinkData, watchLinkSources, linkSourcesKey } = require('./linkData');
+const { findServableLink } = require('./linkAccess');
+const { clientAddress } = require('./linkProtection');
+const { recordAccess } = require('./accessLog');
+const { watchMatch } = require('./matchWatcher');
+const { SNAPSHOT_TYPES } = require('./projection');
+
+// Interval between pings used to drop dead connections
+const PING_INTERVAL_MS = 30000;
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+// Normalise `value` / `values` message fields into a list
+const toList = (single, multiple) => {
+  if (Array.isArray(multiple)) return multiple.map(String);
+  if (single !== undefined && single !== null) return [String(single)];
+  return [];
+};
+
+// Changes between two JSON values as a list of { op, path, value }.
+// Arrays of equal length and objects are compared element by element;
+// anything else that differs is replaced whole.
+const diffValues = (prev, next, path = [], changes = []) => {
+  if (JSON.stringify(prev) === JSON.stringify(next)) return changes;
+
+  const bothArrays = Array.isArray(prev) && Array.isArray(next);
+  const bothObjects = prev && next &&
+    typeof prev === 'object' && typeof next === 'object' &&
+    !Array.isArray(prev) && !Array.isArray(next);
+
+  if (bothArrays && prev.length === next.length) {
+    next.forEach((item, index) => diffValues(prev[index], item, [...path, index], changes));
+  } else if (bothObjects) {
+    Object.keys(prev).forEach(key => {
+      if (!(key in next)) changes.push({ op: 'remove', path: [...path, key] });
+    });
+    Object.keys(next).forEach(key => diffValues(prev[key], next[key], [...path, key], changes));
+  } else {
+    changes.push({ op: 'set', path, value: next });
+  }
+
+  return changes;
+};
+
+// `client` ({ ip, userAgent }) identifies the connection for link IP
+// allowlists and access logs
+const createConnection = (socket, client) => {
+  // Subscription key -> { stop, lastRevision, lastSnapshotId, lastData }
+  const subscriptions = new Map();
+  let userId = null;
+  let closed = false;
+
+  // Push the current data for a subscription as a snapshot or a delta
+  const push = async (key, subscription) => {
+    if (subscription.sending) {
+      subscription.pending = true;
+      return;
+    }
+    subscription.sending = true;
+
+    try {
+      let source = subscription.source;
+
+      // Re-read links so disabled, deleted, expired or no longer accessible links stop pushing
+      if (subscription.linkId) {
+        const found = await findServableLink(subscription.linkId, subscription.credentials);
+        if (!found.apiLink) {
+          send(socket, { event: 'error', subscription: key, ...found.unavailable });
+          return unsubscribe(key);
+        }
+        source = found.apiLink;
+
+        // Watch the link's new sources once an edit moved it to another match or tournament
+        const sourcesKey = await linkSourcesKey(source);
+        if (!subscriptions.has(key)) return;
+        if (sourcesKey !== subscription.sourcesKey) {
+          subscription.sourcesKey = sourcesKey;
+          subscription.stop();
+          subscription.stop = watchLinkSources(source, () => push(key, subscription));
+        }
+      }
+
+      const result = await resolveLinkData(source);
+      if (!subscriptions.has(key)) return;
+
+      // Say once why nothing arrives (e.g. a mistyped or empty match); data follows when it lands
+      if (result.error) {
+        if (!subscription.errorSent) {
+          subscription.errorSent = true;
+          send(socket, { event: 'error', subscription: key, error: result.error });
+        }
+        return;
+      }
+
+      if (result.revision === subscription.lastRevision) return;
+
+      // Tournament tables combine several matches and have no single snapshot
+      const snapshotId = result.snapshot ? String(result.snapshot._id) : null;
+
+      // Compare plain JSON so ObjectIds and Dates diff by value
+      const data = JSON.parse(JSON.stringify(result.payload.data));
+      const message = {
+        subscription: key,
+        matchId: result.payload.matchId,
+        type: result.payload.type,
+        timestamp: result.payload.timestamp,
+        frozen: result.payload.frozen,
+        overridden: result.payload.overridden,
+        snapshotId
+      };
+
+      if (subscription.lastData === null) {
+        send(socket, { event: 'snapshot', ...message, data });
+      } else {
+        send(socket, {
+          event: 'delta',
+          ...message,
+          baseSnapshotId: subscription.lastSnapshotId,
+          changes: diffValues(subscription.lastData, data)
+        });
+      }
+
+      subscription.lastRevision = result.revision;
+      subscription.lastSnapshotId = snapshotId;
+      subscription.lastData = data;
+    } catch (error) {
+      console.error(`Error pushing WebSocket subscription ${key}:`, error.message);
+    } finally {
+      subscription.sending = false;
+      if (subscription.pending) {
+        subscription.pending = false;
+        push(key, subscription);
+      }
+    }
+  };
+
+  // `watch(listener)` starts watching the subscription's data and returns a stop function
+  const subscribe = (key, watch, subscription) => {
+    if (closed || subscriptions.has(key)) return;
+
+    Object.assign(subscription, {
+      lastRevision: null,
+      lastSnapshotId: null,
+      lastData: null,
+      errorSent: false,
+      sending: false,
+      pending: false
+    });
+    subscription.stop = watch(() => push(key, subscription));
+    subscriptions.set(key, subscription);
+
+    send(socket, { event: 'subscribed', subscription: key });
+    push(key, subscription);
+  };
+
+  const unsubscribe = (key) => {
+    const subscription = subscriptions.get(key);
+    if (!subscription) return;
+
+    subscription.stop();
+    subscriptions.delete(key);
+    send(socket, { event: 'unsubscribed', subscription: key });
+  };
+
+  const handlers = {
+    // { action: 'auth', token }
+    auth: (message) => {
+      try {
+        const decoded = jwt.verify(String(message.token), process.env.JWT_SECRET || 'fallback-secret');
+        userId = decoded.userId;
+        send(socket, { event: 'authenticated', userId });
+      } catch (error) {
+        send(socket, { event: 'error', error: 'Invalid or expired token' });
+      }
+    },
+
+    // { action: 'subscribe', linkId(s), [secret], [expires, signature] }
+    // or { action: 'subscribe', matchId(s), type(s) }
+    subscribe: async (message) => {
+      const linkIds = toList(message.linkId, message.linkIds);
+      const matchIds = toList(message.matchId, message.matchIds);
+      const types = toList(message.type, message.types);
+
+      if (!linkIds.length && !matchIds.length) {
+        return send(socket, { event: 'error', error: 'linkId or matchId is required' });
+      }
+
+      // Protected links take the same secret and signed URL values as HTTP requests
+      const credentials = {
+        ip: client.ip,
+        secret: message.secret ? String(message.secret) : undefined,
+        expires: message.expires,
+        signature: message.signature ? String(message.signature) : undefined
+      };
+
+      for (const linkId of linkIds) {
+        const { apiLink, exists, status, unavailable } = await findServableLink(linkId, credentials);
+        const sourcesKey = apiLink ? await linkSourcesKey(apiLink) : null;
+        // The socket may have closed while the link was read; its watchers would never be stopped
+        if (closed) return;
+
+        // Only known links are logged, so made-up IDs cannot fill the log
+        if (exists) {
+          recordAccess({ linkId, ...client, status: apiLink ? 200 : status, transport: 'websocket' });
+        }
+        if (!apiLink) {
+          send(socket, { event: 'error', subscription: `link:${linkId}`, ...unavailable });
+          continue;
+        }
+        subscribe(`link:${linkId}`, listener => watchLinkSources(apiLink, listener), { linkId, credentials, sourcesKey });
+      }
+
+      if (!matchIds.length) return;
+
+      // Raw match data needs a signed-in user; links carry their own access
+      if (!userId) {
+        return send(socket, { event: 'error', error: 'Access token required' });
+      }
+
+      const invalidType = types.find(type => !SNAPSHOT_TYPES.includes(type));
+      if (!types.length || invalidType) {
+        return send(socket, {
+          event: 'error',
+          error: `Invalid type. Use: ${SNAPSHOT_TYPES.join(', ')}`
+        });
+      }
+
+      matchIds.forEach(matchId => {
+        types.forEach(type => {
+          const key = `match:${matchId.trim()}:${type}`;
+          const watch = listener => watchMatch(matchId, () => listener());
+          subscribe(key, watch, { source: { userId, matchId, type } });
+        });
+      });
+    },
+
+    // Same fields as subscribe
+    unsubscribe: (message) => {
+      toList(message.linkId, message.linkIds).forEach(linkId => unsubscribe(`link:${linkId}`));
+
+      const types = toList(message.type, message.types);
+      toList(message.matchId, message.matchIds).forEach(matchId => {
+        (types.length ? types : SNAPSHOT_TYPES).forEach(type => {
+          unsubscribe(`match:${matchId.trim()}:${type}`);
+        });
+      });
+    }
+  };
+
+  socket.on('message', async (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return send(socket, { event: 'error', error: 'Messages must be JSON' });
+    }
+
+    const handler = message && handlers[message.action];
+    if (!handler) {
+      return send(socket, {
+        event: 'error',
+        error: `Invalid action. Use: ${Object.keys(handlers).join(', ')}`
+      });
+    }
+
+    try {
+      await handler(message);
+    } catch (error) {
+      console.error('Error handling WebSocket message:', error);
+      send(socket, { event: 'error', error: 'Server Error' });
+    }
+  });
+
+  socket.on('close', () => {
+    closed = true;
+    subscriptions.forEach(subscription => subscription.stop());
+    subscriptions.clear();
+  });
+};
+
+// Attach the live update WebSocket endpoint to an HTTP server running the Express app.
+// `trustProxy` is the app's `trust proxy fn`, so client addresses match req.ip.
+const attachWebSocketServer = (server, { path = '/ws', trustProxy } = {}) => {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on('connection', (socket, request) => {
+    socket.isAlive = true;
+    socket.on('pong', () => {
+      socket.isAlive = true;
+    });
+    createConnection(socket, {
+      ip: clientAddress(request, trustProxy),
+      userAgent: request.headers['user-agent']
+    });
+    send(socket, { event: 'ready' });
+  });
+
+  const ping = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) return socket.terminate();
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, PING_INTERVAL_MS);
+
+  wss.on('close', () => clearInterval(ping));
+
+  return wss;
+};
+
+module.exports = {
+  attachWebSocketServer,
+  diffValues
+};